@@ -0,0 +1,94 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+import { readFileSync } from "fs";
+import { v4 as UUID } from "uuid";
+import { encodeSignedJwt } from "./jwt.js";
+
+/**
+ * @typedef {"client_secret_basic"|"client_secret_post"|"private_key_jwt"} ClientAuthenticationMethod
+ */
+
+/**
+ * @typedef {object} ClientAuthenticationSetting
+ * @property {ClientAuthenticationMethod} [authMethod] client_secret_basic by default
+ * @property {string} [scope] Scope parameter of the token request
+ * @property {string} [audience] Audience parameter of the token request
+ * @property {string} [privateKeyPath] PEM file of the private key signing the client assertion of private_key_jwt
+ * @property {string} [privateKeyAlgorithm] Algorithm of the client assertion, RS256 by default
+ * @property {string} [privateKeyId] kid of the client assertion
+ */
+
+/**
+ * @typedef {object} TokenRequest
+ * @property {string} url
+ * @property {object} headers
+ * @property {object} body
+ */
+
+export const CLIENT_AUTHENTICATION_METHODS = ["client_secret_basic", "client_secret_post", "private_key_jwt"];
+
+/**
+ * Creates the request of the OAuth 2.0 Client Credentials Grant.
+ * With private_key_jwt, a new client assertion is signed on every call, because the assertion must not be reused.
+ * @param {string} tokenUrl
+ * @param {string} clientId
+ * @param {string} clientSecret Not used with private_key_jwt
+ * @param {ClientAuthenticationSetting} [setting]
+ * @returns {TokenRequest}
+ */
+export function createTokenRequest(tokenUrl, clientId, clientSecret, setting) {
+    if(setting == null) setting = {};
+    let authMethod = setting.authMethod != null ? setting.authMethod : "client_secret_basic";
+    /** @type {object} */
+    let headers = {
+        accept: "application/json",
+        "content-type": "application/x-www-form-urlencoded"
+    };
+    /** @type {object} */
+    let body = {
+        "grant_type": "client_credentials"
+    };
+    if(authMethod == "client_secret_basic") {
+        headers.authorization = "Basic " + Buffer.from(clientId+":"+clientSecret).toString("base64");
+    }else if(authMethod == "client_secret_post") {
+        body["client_id"] = clientId;
+        body["client_secret"] = clientSecret;
+    }else if(authMethod == "private_key_jwt") {
+        if(setting.privateKeyPath == null) {
+            throw new Error("The privateKeyPath is not specified, although the authMethod is private_key_jwt.");
+        }
+        let header = {
+            typ: "JWT",
+            alg: setting.privateKeyAlgorithm != null ? setting.privateKeyAlgorithm : "RS256"
+        };
+        if(setting.privateKeyId != null) {
+            header.kid = setting.privateKeyId;
+        }
+        let now = Math.floor(new Date().getTime()/1000);
+        let claim = {
+            iss: clientId,
+            sub: clientId,
+            aud: tokenUrl,
+            jti: UUID(),
+            iat: now,
+            exp: now + 5*60
+        };
+        body["client_id"] = clientId;
+        body["client_assertion_type"] = "urn:ietf:params:oauth:client-assertion-type:jwt-bearer";
+        body["client_assertion"] = encodeSignedJwt(header, claim, readFileSync(setting.privateKeyPath));
+    }else {
+        throw new Error(`The authMethod is invalid. ${authMethod}`);
+    }
+    if(setting.scope != null) {
+        body["scope"] = setting.scope;
+    }
+    if(setting.audience != null) {
+        body["audience"] = setting.audience;
+    }
+    return {url: tokenUrl, headers: headers, body: body};
+}
\ No newline at end of file
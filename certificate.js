@@ -0,0 +1,156 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+import { generateKeyPairSync, randomBytes, sign } from "crypto";
+import { isIP } from "net";
+
+/**
+ * @typedef {object} Certificate
+ * @property {string} cert PEM encoded certificate
+ * @property {string} key PEM encoded private key
+ */
+
+/**
+ * Generates a self-signed certificate for a host name, valid for one year.
+ * The certificate has the host name as the common name and the subject alternative name, as TLS clients require.
+ * @param {string} hostName Domain name or IP address, an IPv6 address may be enclosed in brackets as in URLs
+ * @returns {Certificate}
+ */
+export function generateSelfSignedCertificate(hostName) {
+    hostName = hostName.replace(/^\[(.*)\]$/, "$1");
+    let keyPair = generateKeyPairSync("rsa", {modulusLength: 2048});
+    // sha256WithRSAEncryption
+    let algorithm = sequence(objectIdentifier("1.2.840.113549.1.1.11"), Buffer.from([0x05, 0x00]));
+    let name = sequence(set(sequence(objectIdentifier("2.5.4.3"), encode(0x0c, Buffer.from(hostName, "utf8")))));
+    let notBefore = new Date(new Date().getTime() - 1000*60*60);
+    let notAfter = new Date(notBefore.getTime() + 1000*60*60*24*365);
+    // RFC 5280: an IP address is an iPAddress of 4 or 16 bytes, not a dNSName.
+    let alternativeName;
+    if(isIP(hostName) == 4) {
+        alternativeName = encode(0x87, Buffer.from(hostName.split(".").map(Number)));
+    }else if(isIP(hostName) == 6) {
+        alternativeName = encode(0x87, ipv6Address(hostName));
+    }else {
+        alternativeName = encode(0x82, Buffer.from(hostName, "ascii"));
+    }
+    let extensions = sequence(
+        sequence(objectIdentifier("2.5.29.17"), encode(0x04, sequence(alternativeName)))
+    );
+    let serialNumber = randomBytes(16);
+    // A positive integer must not start with the sign bit.
+    serialNumber[0] &= 0x7f;
+    let tbsCertificate = sequence(
+        encode(0xa0, encode(0x02, Buffer.from([0x02]))),
+        encode(0x02, serialNumber),
+        algorithm,
+        name,
+        sequence(time(notBefore), time(notAfter)),
+        name,
+        keyPair.publicKey.export({type: "spki", format: "der"}),
+        encode(0xa3, extensions)
+    );
+    let signature = sign("sha256", tbsCertificate, keyPair.privateKey);
+    let certificate = sequence(tbsCertificate, algorithm, encode(0x03, Buffer.concat([Buffer.from([0x00]), signature])));
+    let lines = [];
+    let base64 = certificate.toString("base64");
+    for(let i=0; i<base64.length; i+=64) {
+        lines.push(base64.substring(i, i+64));
+    }
+    return {
+        cert: "-----BEGIN CERTIFICATE-----\n" + lines.join("\n") + "\n-----END CERTIFICATE-----\n",
+        key: String(keyPair.privateKey.export({type: "pkcs8", format: "pem"}))
+    };
+}
+
+/**
+ * Encodes a value in DER.
+ * @param {number} tag
+ * @param {Buffer} value
+ * @returns {Buffer}
+ */
+function encode(tag, value) {
+    let length;
+    if(value.length < 0x80) {
+        length = Buffer.from([value.length]);
+    }else {
+        let bytes = [];
+        for(let remaining = value.length; remaining > 0; remaining = Math.floor(remaining / 256)) {
+            bytes.unshift(remaining % 256);
+        }
+        length = Buffer.from([0x80 | bytes.length, ...bytes]);
+    }
+    return Buffer.concat([Buffer.from([tag]), length, value]);
+}
+
+/**
+ * @param {...Buffer} values
+ * @returns {Buffer}
+ */
+function sequence(...values) {
+    return encode(0x30, Buffer.concat(values));
+}
+
+/**
+ * @param {...Buffer} values
+ * @returns {Buffer}
+ */
+function set(...values) {
+    return encode(0x31, Buffer.concat(values));
+}
+
+/**
+ * @param {string} identifier Dotted notation such as 2.5.4.3
+ * @returns {Buffer}
+ */
+function objectIdentifier(identifier) {
+    let components = identifier.split(".").map(Number);
+    let bytes = [components[0]*40 + components[1]];
+    components.slice(2).forEach(component => {
+        let encoded = [component & 0x7f];
+        for(component = Math.floor(component / 128); component > 0; component = Math.floor(component / 128)) {
+            encoded.unshift(0x80 | (component & 0x7f));
+        }
+        bytes.push(...encoded);
+    });
+    return encode(0x06, Buffer.from(bytes));
+}
+
+/**
+ * @param {string} address IPv6 address, such as ::1 or ::ffff:192.0.2.1
+ * @returns {Buffer} 16 bytes
+ */
+function ipv6Address(address) {
+    let halves = address.split("::");
+    let toGroups = (/** @type {string} */ part) => {
+        if(part.length == 0) return [];
+        return part.split(":").flatMap(group => {
+            if(group.includes(".")) {
+                // An embedded IPv4 address fills the last two groups.
+                let bytes = group.split(".").map(Number);
+                return [bytes[0] << 8 | bytes[1], bytes[2] << 8 | bytes[3]];
+            }
+            return [parseInt(group, 16)];
+        });
+    };
+    let head = toGroups(halves[0]);
+    let tail = halves.length > 1 ? toGroups(halves[1]) : [];
+    let groups = [...head, ...new Array(8 - head.length - tail.length).fill(0), ...tail];
+    let bytes = Buffer.alloc(16);
+    groups.forEach((group, index) => {
+        bytes.writeUInt16BE(group, index*2);
+    });
+    return bytes;
+}
+
+/**
+ * @param {Date} date
+ * @returns {Buffer} UTCTime
+ */
+function time(date) {
+    let value = date.toISOString().replace(/[-:T]/g, "").substring(2, 14) + "Z";
+    return encode(0x17, Buffer.from(value, "ascii"));
+}
\ No newline at end of file
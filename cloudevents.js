@@ -0,0 +1,85 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+/**
+ * Thrown when an event violates CloudEvents or the Tech Spec, holding all the violations found.
+ */
+export class InvalidEventError extends Error {
+
+    /** @type {Array<string>} */
+    errors;
+
+    /**
+     * @param {Array<string>} errors
+     */
+    constructor(errors) {
+        super(errors.join(" "));
+        this.errors = errors;
+    }
+}
+
+/**
+ * Validates the attributes of an event in the structured content mode of CloudEvents 1.0.
+ * @param {any} event
+ * @returns {Array<string>} Violations, empty if the event is valid
+ */
+export function validateCloudEvent(event) {
+    if(event == null || typeof event != "object" || Array.isArray(event)) {
+        return ["The event is not a JSON object."];
+    }
+    /** @type {Array<string>} */
+    let errors = [];
+    if(event.specversion !== "1.0") {
+        errors.push(`The specversion must be "1.0". SPECVERSION: ${JSON.stringify(event.specversion)}`);
+    }
+    if(typeof event.id != "string" || event.id.length == 0) {
+        errors.push(`The id must be a non-empty string. ID: ${JSON.stringify(event.id)}`);
+    }
+    if(typeof event.source != "string" || event.source.length == 0 || !isUriReference(event.source)) {
+        errors.push(`The source must be a non-empty URI-reference. SOURCE: ${JSON.stringify(event.source)}`);
+    }
+    if(typeof event.type != "string" || event.type.length == 0) {
+        errors.push(`The type must be a non-empty string. TYPE: ${JSON.stringify(event.type)}`);
+    }
+    if(event.time !== undefined && (typeof event.time != "string" || !isRfc3339(event.time))) {
+        errors.push(`The time must be a timestamp of RFC 3339. TIME: ${JSON.stringify(event.time)}`);
+    }
+    if(event.datacontenttype !== undefined && (typeof event.datacontenttype != "string" || !event.datacontenttype.startsWith("application/json"))) {
+        errors.push(`The datacontenttype must be application/json, if present. DATACONTENTTYPE: ${JSON.stringify(event.datacontenttype)}`);
+    }
+    if(event.data == null || typeof event.data != "object" || Array.isArray(event.data)) {
+        errors.push("The data must be a JSON object.");
+    }
+    return errors;
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean} Whether the value is a URI-reference of RFC 3986
+ */
+export function isUriReference(value) {
+    if(!/^[A-Za-z0-9\-._~:/?#[\]@!$&'()*+,;=%]*$/.test(value)) return false;
+    // A percent sign must start a percent-encoded octet.
+    if(/%(?![0-9A-Fa-f]{2})/.test(value)) return false;
+    // The first segment of a relative reference must not contain a colon.
+    let scheme = value.match(/^([^/?#:]*):/);
+    return scheme == null || /^[A-Za-z][A-Za-z0-9+.-]*$/.test(scheme[1]);
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean} Whether the value is a date-time of RFC 3339
+ */
+export function isRfc3339(value) {
+    let matches = value.match(/^(\d{4})-(\d{2})-(\d{2})[Tt](\d{2}):(\d{2}):(\d{2})(\.\d+)?([Zz]|[+-](\d{2}):(\d{2}))$/);
+    if(matches == null) return false;
+    let [year, month, day, hour, minute, second] = matches.slice(1, 7).map(Number);
+    if(month < 1 || month > 12 || hour > 23 || minute > 59 || second > 60) return false;
+    if(day < 1 || day > new Date(Date.UTC(year, month, 0)).getUTCDate()) return false;
+    if(matches[9] != null && (Number(matches[9]) > 23 || Number(matches[10]) > 59)) return false;
+    return true;
+}
\ No newline at end of file
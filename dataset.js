@@ -0,0 +1,224 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+import { readFileSync } from "fs";
+import YAML from "js-yaml";
+import { formatToIso8601String } from "./date-utils.js";
+import { majorVersion } from "./versions.js";
+
+/**
+ * @typedef {object} StubDatasetSetting
+ * @property {string} [path] JSON or YAML file containing an array of footprints, or an object with the array in data
+ * @property {number} [seed] Seed of the generated footprints, used if the path is omitted
+ * @property {number} [size] Number of the generated footprints, 10 by default
+ */
+
+/**
+ * @typedef {object} FootprintProperties
+ * @property {string} id
+ * @property {Date} created
+ * @property {Date} [updated]
+ * @property {Array<string>} companyIds
+ * @property {Array<string>} productIds
+ * @property {string} productCategoryCpc
+ * @property {string} geographyCountry
+ * @property {Date} periodStart
+ * @property {Date} periodEnd
+ * @property {number} pcfExcludingBiogenic
+ */
+
+const COUNTRIES = ["FR", "DE", "JP", "US", "NL"];
+// "49" and "049" are also read as the same year by the Date constructor, so they must be compared as strings.
+const CPCS = ["49", "049", "011", "2610", "3420"];
+
+/**
+ * @param {string} path
+ * @returns {Array<any>}
+ */
+export function loadDataset(path) {
+    let file = readFileSync(path, "utf8");
+    /** @type {any} */
+    let dataset = path.endsWith(".json") ? JSON.parse(file) : YAML.load(file);
+    if(dataset != null && !Array.isArray(dataset) && Array.isArray(dataset.data)) {
+        dataset = dataset.data;
+    }
+    if(!Array.isArray(dataset)) {
+        throw new Error(`The dataset [${path}] does not contain an array of footprints.`);
+    }
+    dataset.forEach((footprint, index) => {
+        if(footprint == null || typeof footprint != "object" || typeof footprint.id != "string") {
+            throw new Error(`The footprint at index ${index} of the dataset [${path}] does not have an id.`);
+        }
+    });
+    return dataset;
+}
+
+/**
+ * Generates the footprints with several variations of the filtered properties.
+ * The same seed always results in the same footprints.
+ * @param {string} specVersion
+ * @param {number} seed
+ * @param {number} size
+ * @returns {Array<any>}
+ */
+export function generateDataset(specVersion, seed, size) {
+    let random = createRandom(seed);
+    let baseTime = Date.UTC(2024, 0, 1);
+    let day = 1000*60*60*24;
+    let companyIds = [0, 1, 2].map(() => "urn:uuid:"+randomUuid(random));
+    /** @type {Array<any>} */
+    let footprints = [];
+    for(let i=0; i<size; i++) {
+        let created = new Date(baseTime + Math.floor(random()*365)*day);
+        let periodStart = new Date(Date.UTC(2022 + Math.floor(random()*2), Math.floor(random()*12), 1));
+        footprints.push(createFootprint(specVersion, {
+            id: randomUuid(random),
+            created: created,
+            updated: random() < 0.3 ? new Date(created.getTime() + Math.floor(random()*30+1)*day) : undefined,
+            companyIds: [companyIds[Math.floor(random()*companyIds.length)]],
+            productIds: ["urn:uuid:"+randomUuid(random)],
+            productCategoryCpc: CPCS[Math.floor(random()*CPCS.length)],
+            geographyCountry: COUNTRIES[Math.floor(random()*COUNTRIES.length)],
+            periodStart: periodStart,
+            periodEnd: new Date(periodStart.getTime() + 365*day),
+            pcfExcludingBiogenic: Math.round(random()*10000)/1000
+        }));
+    }
+    return footprints;
+}
+
+/**
+ * Creates a footprint in the data model of the version of the Tech Spec.
+ * @param {string} specVersion
+ * @param {FootprintProperties} properties
+ * @returns {any}
+ */
+export function createFootprint(specVersion, properties) {
+    let periodStart = formatToIso8601String(properties.periodStart, true);
+    let periodEnd = formatToIso8601String(properties.periodEnd, true);
+    /** @type {any} */
+    let footprint = {
+        id: properties.id,
+        specVersion: specVersion,
+        version: 0,
+        created: formatToIso8601String(properties.created, true),
+        status: "Active",
+        companyName: "Demo Company",
+        companyIds: properties.companyIds,
+        productDescription: "Demo Product",
+        productIds: properties.productIds,
+        productCategoryCpc: properties.productCategoryCpc,
+        productNameCompany: "Demo Product",
+        comment: ""
+    };
+    if(properties.updated != null) {
+        footprint.updated = formatToIso8601String(properties.updated, true);
+    }
+    let pcfExcludingBiogenic = properties.pcfExcludingBiogenic;
+    if(majorVersion(specVersion) >= 3) {
+        delete footprint.version;
+        delete footprint.productCategoryCpc;
+        footprint.productClassifications = ["urn:pact:productclassification:un-cpc:"+properties.productCategoryCpc];
+        footprint.validityPeriodStart = periodEnd;
+        footprint.pcf = {
+            declaredUnitOfMeasurement: "kilogram",
+            declaredUnitAmount: "100",
+            productMassPerDeclaredUnit: "1",
+            pcfExcludingBiogenicUptake: String(pcfExcludingBiogenic),
+            pcfIncludingBiogenicUptake: String(pcfExcludingBiogenic),
+            fossilCarbonContent: "0.813",
+            biogenicCarbonContent: "0",
+            ipccCharacterizationFactors: ["AR6"],
+            crossSectoralStandards: ["ISO14067"],
+            boundaryProcessesDescription: "",
+            referencePeriodStart: periodStart,
+            referencePeriodEnd: periodEnd,
+            geographyCountry: properties.geographyCountry,
+            exemptedEmissionsPercent: 0,
+            exemptedEmissionsDescription: "",
+            packagingEmissionsIncluded: false
+        };
+    }else if(majorVersion(specVersion) == 1) {
+        // The status was introduced in Tech Spec ver 2.
+        delete footprint.status;
+        footprint.pcf = {
+            declaredUnit: "kilogram",
+            unitaryProductAmount: "100",
+            fossilGhgEmissions: String(pcfExcludingBiogenic),
+            biogenicEmissions: {
+                landUseEmissions: "0",
+                otherEmissions: "0"
+            },
+            biogenicCarbonContent: "0",
+            reportingPeriodStart: periodStart,
+            reportingPeriodEnd: periodEnd,
+            geographyCountry: properties.geographyCountry,
+            primaryDataShare: 0,
+            emissionFactorSources: [
+                {
+                    name: "ecoinvent",
+                    version: "3.9.1"
+                }
+            ],
+            boundaryProcessesDescription: "",
+            crossSectoralStandardsUsed: ["GHG Protocol Product standard"],
+            productOrSectorSpecificRules: [],
+            allocationRulesDescription: ""
+        };
+    }else {
+        footprint.pcf = {
+            declaredUnit: "kilogram",
+            unitaryProductAmount: 100,
+            pCfExcludingBiogenic: pcfExcludingBiogenic,
+            fossilGhgEmissions: pcfExcludingBiogenic,
+            fossilCarbonContent: 0.813,
+            biogenicCarbonContent: 0,
+            characterizationFactors: "AR6",
+            ipccCharacterizationFactorsSources: ["AR6"],
+            crossSectoralStandardsUsed: ["GHG Protocol Product standard"],
+            boundaryProcessesDescription: "",
+            referencePeriodStart: periodStart,
+            referencePeriodEnd : periodEnd,
+            geographyCountry: properties.geographyCountry,
+            exemptedEmissionsPercent: 0,
+            exemptedEmissionsDescription: "",
+            packagingEmissionsIncluded: false
+        };
+    }
+    return footprint;
+}
+
+/**
+ * Mulberry32, a small pseudo-random number generator that is sufficient for test data.
+ * @param {number} seed
+ * @returns {() => number} Returns a number from 0 to less than 1
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * @param {() => number} random
+ * @returns {string} UUID in the format of version 4
+ */
+function randomUuid(random) {
+    let digits = [];
+    for(let i=0; i<32; i++) {
+        digits.push(Math.floor(random()*16));
+    }
+    digits[12] = 4;
+    digits[16] = 8 + (digits[16] & 3);
+    let hex = digits.map(digit => digit.toString(16)).join("");
+    return `${hex.substring(0, 8)}-${hex.substring(8, 12)}-${hex.substring(12, 16)}-${hex.substring(16, 20)}-${hex.substring(20)}`;
+}
\ No newline at end of file
@@ -0,0 +1,171 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+import { parseIso8601String } from "./date-utils.js";
+
+const OPERATORS = ["==", "!=", ">=", "<=", "=", ">", "<", " in "];
+
+/**
+ * Evaluates a lupinus style response expression such as `{data.length == 1}` or `{data[*].created >= '2024-01-01T00:00:00Z'}`.
+ * When the path contains a wildcard, every resolved value must satisfy the condition, and there must be at least one.
+ * Values are compared with strict equality, so '1' and 1 are different.
+ * @param {string} expression
+ * @param {any} target Response headers or body
+ * @returns {boolean}
+ */
+export function evaluateExpression(expression, target) {
+    let source = expression.trim();
+    if(!source.startsWith("{") || !source.endsWith("}")) {
+        throw new Error(`The expression is invalid. ${expression}`);
+    }
+    source = source.substring(1, source.length-1).trim();
+
+    let operator;
+    let index = -1;
+    for(let candidate of OPERATORS) {
+        index = indexOfOperator(source, candidate);
+        if(index != -1) {
+            operator = candidate;
+            break;
+        }
+    }
+    if(operator == null) {
+        throw new Error(`The expression does not contain an operator. ${expression}`);
+    }
+    let left = resolveOperand(source.substring(0, index).trim(), target);
+    let right = resolveOperand(source.substring(index+operator.length).trim(), target);
+    operator = operator.trim();
+
+    // A condition on all the elements of an empty or missing array is not satisfied.
+    if((left.multiple && left.values.length == 0) || (right.multiple && right.values.length == 0)) {
+        return false;
+    }
+    if(operator == "in") {
+        if(right.multiple) {
+            return right.values.every(value => Array.isArray(value) && left.values.every(_value => value.includes(_value)));
+        }
+        return right.values.length == 1 && Array.isArray(right.values[0]) && left.values.every(value => right.values[0].includes(value));
+    }
+    if(left.multiple) {
+        return left.values.every(value => right.values.every(_value => compare(value, _value, operator)));
+    }
+    if(right.multiple) {
+        return right.values.every(value => left.values.every(_value => compare(_value, value, operator)));
+    }
+    return compare(left.values[0], right.values[0], operator);
+}
+
+/**
+ * @param {string} source
+ * @param {string} operator
+ * @returns {number}
+ */
+function indexOfOperator(source, operator) {
+    let quoted = false;
+    for(let i=0; i<source.length; i++) {
+        let character = source[i];
+        if(character == "'") {
+            quoted = !quoted;
+            continue;
+        }
+        if(quoted) continue;
+        if(source.startsWith(operator, i)) {
+            // Do not confuse "=" with a part of "==", "!=", ">=" or "<=".
+            if(operator == "=" && (source[i+1] == "=" || (i > 0 && "=!<>".includes(source[i-1])))) continue;
+            if((operator == ">" || operator == "<") && source[i+1] == "=") continue;
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * @typedef {object} Operand
+ * @property {Array<any>} values
+ * @property {boolean} multiple
+ */
+
+/**
+ * @param {string} source
+ * @param {any} target
+ * @returns {Operand}
+ */
+function resolveOperand(source, target) {
+    if(source.startsWith("'") && source.endsWith("'") && source.length >= 2) {
+        return {values: [source.substring(1, source.length-1)], multiple: false};
+    }
+    if(source == "null") {
+        return {values: [null], multiple: false};
+    }
+    if(source == "true" || source == "false") {
+        return {values: [source == "true"], multiple: false};
+    }
+    if(/^-?[0-9]+(\.[0-9]+)?$/.test(source)) {
+        return {values: [Number(source)], multiple: false};
+    }
+
+    let values = [target];
+    let multiple = false;
+    let tokens = source.match(/[^.\[\]]+|\[[^\]]*\]/g);
+    if(tokens == null) {
+        throw new Error(`The path of the expression is invalid. ${source}`);
+    }
+    tokens.forEach(token => {
+        if(token == "[*]") {
+            multiple = true;
+            values = values.reduce((result, value) => {
+                if(Array.isArray(value)) {
+                    result.push(...value);
+                }
+                return result;
+            }, []);
+        }else if(token.startsWith("[")) {
+            let index = Number(token.substring(1, token.length-1));
+            values = values.map(value => Array.isArray(value) ? value[index] : undefined);
+        }else if(token == "length") {
+            values = values.map(value => (Array.isArray(value) || typeof value == "string") ? value.length : (value != null ? value.length : undefined));
+        }else {
+            values = values.map(value => value != null && typeof value == "object" ? value[token] : undefined);
+        }
+    });
+    values = values.map(value => value === undefined ? null : value);
+    return {values: values, multiple: multiple};
+}
+
+/**
+ * @param {any} left
+ * @param {any} right
+ * @param {string} operator
+ * @returns {boolean}
+ */
+function compare(left, right, operator) {
+    if(typeof left == "string" && typeof right == "string" && /^\d{4}-\d{2}-\d{2}/.test(left) && /^\d{4}-\d{2}-\d{2}/.test(right)) {
+        let leftDate = parseIso8601String(left);
+        let rightDate = parseIso8601String(right);
+        if(leftDate != null && rightDate != null) {
+            left = leftDate.getTime();
+            right = rightDate.getTime();
+        }
+    }
+    switch(operator) {
+        case "=":
+        case "==":
+            return left === right;
+        case "!=":
+            return left !== right;
+        case ">=":
+            return left != null && right != null && left >= right;
+        case "<=":
+            return left != null && right != null && left <= right;
+        case ">":
+            return left != null && right != null && left > right;
+        case "<":
+            return left != null && right != null && left < right;
+        default:
+            throw new Error(`Unsupported operator. ${operator}`);
+    }
+}
\ No newline at end of file
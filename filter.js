@@ -0,0 +1,317 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+import { parseIso8601String } from "./date-utils.js";
+
+/**
+ * @typedef {object} FilterComparison
+ * @property {"comparison"} type
+ * @property {Array<string>} path Property names, such as ["pcf", "geographyCountry"]
+ * @property {"eq"|"ne"|"lt"|"le"|"gt"|"ge"} operator
+ * @property {any} value
+ */
+
+/**
+ * @typedef {object} FilterAny
+ * @property {"any"} type
+ * @property {Array<string>} path Path of the array
+ * @property {string} variable
+ * @property {FilterExpression} condition Condition on the variable
+ */
+
+/**
+ * @typedef {object} FilterLogical
+ * @property {"and"|"or"} type
+ * @property {FilterExpression} left
+ * @property {FilterExpression} right
+ */
+
+/**
+ * @typedef {FilterComparison|FilterAny|FilterLogical} FilterExpression
+ */
+
+const COMPARISON_OPERATORS = ["eq", "ne", "lt", "le", "gt", "ge"];
+
+/**
+ * Parses the subset of the OData $filter syntax used by Action ListFootprints.
+ * For example, `created ge 2024-01-01T00:00:00Z and productIds/any(productId:(productId eq 'urn:x'))`.
+ * @param {string} filter
+ * @returns {FilterExpression}
+ */
+export function parseFilter(filter) {
+    let tokens = tokenize(filter);
+    let index = 0;
+
+    let peek = () => tokens[index];
+    let next = () => {
+        if(index >= tokens.length) {
+            throw new Error(`The filter ends unexpectedly. FILTER: ${filter}`);
+        }
+        return tokens[index++];
+    };
+    /**
+     * @param {string} value
+     */
+    let expect = value => {
+        let token = next();
+        if(token.type != "symbol" || token.value != value) {
+            throw new Error(`"${value}" was expected, but was "${token.value}". FILTER: ${filter}`);
+        }
+    };
+
+    /**
+     * @param {string} [variable] Variable of the enclosing lambda
+     * @returns {FilterExpression}
+     */
+    let parseOr = variable => {
+        let left = parseAnd(variable);
+        while(peek() != null && peek().type == "word" && peek().value == "or") {
+            next();
+            left = {type: "or", left: left, right: parseAnd(variable)};
+        }
+        return left;
+    };
+
+    /**
+     * @param {string} [variable]
+     * @returns {FilterExpression}
+     */
+    let parseAnd = variable => {
+        let left = parsePrimary(variable);
+        while(peek() != null && peek().type == "word" && peek().value == "and") {
+            next();
+            left = {type: "and", left: left, right: parsePrimary(variable)};
+        }
+        return left;
+    };
+
+    /**
+     * @param {string} [variable]
+     * @returns {FilterExpression}
+     */
+    let parsePrimary = variable => {
+        let token = next();
+        if(token.type == "symbol" && token.value == "(") {
+            let expression = parseOr(variable);
+            expect(")");
+            return expression;
+        }
+        if(token.type != "word") {
+            throw new Error(`A property was expected, but was "${token.value}". FILTER: ${filter}`);
+        }
+        let path = token.value.split("/");
+        if(path.some(name => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name))) {
+            throw new Error(`The property is invalid. PROPERTY: ${token.value} FILTER: ${filter}`);
+        }
+        if(variable != null && path[0] != variable) {
+            throw new Error(`The lambda variable [${variable}] was expected, but was "${path[0]}". FILTER: ${filter}`);
+        }
+        if(path[path.length-1] == "any" && peek() != null && peek().type == "symbol" && peek().value == "(") {
+            next();
+            let lambdaVariable = next();
+            if(lambdaVariable.type != "word" || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(lambdaVariable.value)) {
+                throw new Error(`The lambda variable is invalid. FILTER: ${filter}`);
+            }
+            expect(":");
+            let condition = parseOr(lambdaVariable.value);
+            expect(")");
+            return {type: "any", path: path.slice(0, path.length-1), variable: lambdaVariable.value, condition: condition};
+        }
+        let operator = next();
+        if(operator.type != "word" || !COMPARISON_OPERATORS.includes(operator.value)) {
+            throw new Error(`The operator is invalid. OPERATOR: ${operator.value} FILTER: ${filter}`);
+        }
+        let literal = next();
+        if(literal.type != "string" && literal.type != "word") {
+            throw new Error(`A value was expected, but was "${literal.value}". FILTER: ${filter}`);
+        }
+        return {
+            type: "comparison",
+            path: path,
+            operator: /** @type {"eq"|"ne"|"lt"|"le"|"gt"|"ge"} */(operator.value),
+            value: literal.type == "string" ? literal.value : parseLiteral(literal.value, filter)
+        };
+    };
+
+    let expression = parseOr();
+    if(index < tokens.length) {
+        throw new Error(`The filter contains an unexpected "${tokens[index].value}". FILTER: ${filter}`);
+    }
+    return expression;
+}
+
+/**
+ * @param {string|FilterExpression} filter
+ * @param {any} footprint
+ * @returns {boolean} Whether the footprint is included in the result of the filter
+ */
+export function matchesFilter(filter, footprint) {
+    let expression = typeof filter == "string" ? parseFilter(filter) : filter;
+    return evaluate(expression, footprint, {});
+}
+
+/**
+ * Formats a value as a literal of the filter. Date-times are not quoted, as in the examples of the Tech Spec.
+ * @param {any} value
+ * @returns {string}
+ */
+export function formatFilterLiteral(value) {
+    if(value == null) {
+        return "null";
+    }
+    if(typeof value == "number" || typeof value == "boolean") {
+        return String(value);
+    }
+    if(isDateTime(value)) {
+        return value;
+    }
+    return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+/**
+ * Whether a value is a date-time of RFC 3339, which is compared as a point in time.
+ * Codes such as "49" or "2610" are also accepted by the Date constructor, so the whole format is checked.
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isDateTime(value) {
+    return typeof value == "string" && /^\d{4}-\d{2}-\d{2}T[0-9:.]+(Z|[+-]\d{2}:\d{2})$/.test(value) && parseIso8601String(value) != null;
+}
+
+/**
+ * @param {FilterExpression} expression
+ * @param {any} target
+ * @param {Object<string, any>} variables
+ * @returns {boolean}
+ */
+function evaluate(expression, target, variables) {
+    if(expression.type == "comparison") {
+        let value = resolve(expression.path, target, variables);
+        return compare(value, expression.operator, expression.value);
+    }
+    if(expression.type == "any") {
+        let values = resolve(expression.path, target, variables);
+        if(!Array.isArray(values)) return false;
+        return values.some(value => evaluate(expression.condition, target, {...variables, [expression.variable]: value}));
+    }
+    if(expression.type == "and") {
+        return evaluate(expression.left, target, variables) && evaluate(expression.right, target, variables);
+    }
+    return evaluate(expression.left, target, variables) || evaluate(expression.right, target, variables);
+}
+
+/**
+ * @param {Array<string>} path
+ * @param {any} target
+ * @param {Object<string, any>} variables
+ * @returns {any}
+ */
+function resolve(path, target, variables) {
+    let value;
+    let names = path;
+    if(Object.prototype.hasOwnProperty.call(variables, path[0])) {
+        value = variables[path[0]];
+        names = path.slice(1);
+    }else {
+        value = target;
+    }
+    for(let name of names) {
+        if(value == null || typeof value != "object") return undefined;
+        value = value[name];
+    }
+    return value;
+}
+
+/**
+ * @param {any} value
+ * @param {string} operator
+ * @param {any} literal
+ * @returns {boolean}
+ */
+function compare(value, operator, literal) {
+    if(operator == "eq" && literal === null) return value == null;
+    if(operator == "ne" && literal === null) return value != null;
+    if(value == null || literal == null) return operator == "ne";
+    let left = value;
+    let right = literal;
+    if(isDateTime(left) && isDateTime(right)) {
+        left = /** @type {Date} */(parseIso8601String(left)).getTime();
+        right = /** @type {Date} */(parseIso8601String(right)).getTime();
+    }else if(typeof right == "number" && typeof left == "string" && left.length > 0 && !isNaN(Number(left))) {
+        // Tech Spec ver 1 represents the decimals as strings.
+        left = Number(left);
+    }
+    switch(operator) {
+        case "eq": return left === right;
+        case "ne": return left !== right;
+        case "lt": return left < right;
+        case "le": return left <= right;
+        case "gt": return left > right;
+        case "ge": return left >= right;
+    }
+    return false;
+}
+
+/**
+ * @param {string} word
+ * @param {string} filter
+ * @returns {any}
+ */
+function parseLiteral(word, filter) {
+    if(word == "null") return null;
+    if(word == "true") return true;
+    if(word == "false") return false;
+    if(/^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(word)) return Number(word);
+    if(/^\d{4}-\d{2}-\d{2}(T[0-9:.]+(Z|[+-]\d{2}:\d{2})?)?$/.test(word) && parseIso8601String(word) != null) return word;
+    throw new Error(`The value is invalid. VALUE: ${word} FILTER: ${filter}`);
+}
+
+/**
+ * @param {string} filter
+ * @returns {Array<{type: "word"|"string"|"symbol", value: string}>}
+ */
+function tokenize(filter) {
+    /** @type {Array<{type: "word"|"string"|"symbol", value: string}>} */
+    let tokens = [];
+    let i = 0;
+    while(i < filter.length) {
+        let character = filter[i];
+        if(/\s/.test(character)) {
+            i++;
+        }else if(character == "(" || character == ")" || character == ":") {
+            tokens.push({type: "symbol", value: character});
+            i++;
+        }else if(character == "'") {
+            let value = "";
+            i++;
+            while(true) {
+                if(i >= filter.length) {
+                    throw new Error(`The string is not closed. FILTER: ${filter}`);
+                }
+                if(filter[i] == "'") {
+                    if(filter[i+1] == "'") {
+                        value += "'";
+                        i += 2;
+                        continue;
+                    }
+                    i++;
+                    break;
+                }
+                value += filter[i++];
+            }
+            tokens.push({type: "string", value: value});
+        }else {
+            let start = i;
+            // A colon inside a date-time belongs to the word.
+            while(i < filter.length && !/[\s()']/.test(filter[i]) && !(filter[i] == ":" && !/^\d{4}-\d{2}-\d{2}T/.test(filter.substring(start, i)))) {
+                i++;
+            }
+            tokens.push({type: "word", value: filter.substring(start, i)});
+        }
+    }
+    return tokens;
+}
\ No newline at end of file
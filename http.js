@@ -7,37 +7,41 @@
 
 import querystring from "node:querystring";
 
+/**
+ * @typedef {object} HttpResponse
+ * @property {number|undefined} status
+ * @property {import("node:http").IncomingHttpHeaders} headers
+ * @property {object} body
+ */
+
 export class Http {
-    /**
-     * @typedef {object} HttpResponse
-     * @property {number|undefined} status
-     * @property {import("node:http").IncomingHttpHeaders} headers
-     * @property {object} body
-     */
-    
+
     /**
      * @param {"get"|"post"|"patch"|"put"|"delete"|"option"|"head"} method 
      * @param {string} requestPath 
      * @param {import("node:http").IncomingHttpHeaders} [requestHeader] 
-     * @param {object} [requestBody] 
+     * @param {object|string} [requestBody] 
      * @returns {Promise<HttpResponse>}
      */
     static async request(method, requestPath, requestHeader, requestBody) {
         const Http = await (requestPath.startsWith("https") ? import("https") : import("http"));
         if(requestBody != null && requestHeader != null) {
             let contentType = requestHeader["content-type"];
-            if(contentType != null) {
-                if(contentType.startsWith("application/json")) {
-                    requestBody = JSON.stringify(requestBody);
-                }else if(contentType.startsWith("application/x-www-form-urlencoded")) {
-                    requestBody = querystring.stringify(requestBody);
-                }else if(contentType.startsWith("application/cloudevents+json")) {
-                    requestBody = JSON.stringify(requestBody);
+            // A string is sent as it is, so that malformed bodies can be tested.
+            if(typeof requestBody != "string") {
+                if(contentType != null) {
+                    if(contentType.startsWith("application/json")) {
+                        requestBody = JSON.stringify(requestBody);
+                    }else if(contentType.startsWith("application/x-www-form-urlencoded")) {
+                        requestBody = querystring.stringify(requestBody);
+                    }else if(contentType.startsWith("application/cloudevents+json")) {
+                        requestBody = JSON.stringify(requestBody);
+                    }else {
+                        requestBody = null;
+                    }
                 }else {
                     requestBody = null;
                 }
-            }else {
-                requestBody = null;
             }
             if(requestHeader["content-length"] == null) {
                 requestHeader["content-length"] = Buffer.byteLength(requestBody).toString();
@@ -83,4 +87,71 @@ export class Http {
             connection.end();
         });
     }
+}
+
+/**
+ * @typedef {object} Link
+ * @property {string} url
+ * @property {Object<string,string>} parameters Link parameters such as rel
+ */
+
+/**
+ * Parses the Link header field defined in RFC 8288.
+ * @param {string|Array<string>|undefined} value 
+ * @returns {Array<Link>}
+ */
+export function parseLinkHeader(value) {
+    if(value == null) return [];
+    let source = Array.isArray(value) ? value.join(",") : value;
+    /** @type {Array<Link>} */
+    let links = [];
+    let index = 0;
+    while(index < source.length) {
+        let start = source.indexOf("<", index);
+        if(start == -1) break;
+        let end = source.indexOf(">", start);
+        if(end == -1) {
+            throw new Error(`The Link header is invalid. ${source}`);
+        }
+        let link = {url: source.substring(start+1, end).trim(), parameters: {}};
+        index = end+1;
+        // Parameters continue until the next comma outside of a quoted string.
+        let quoted = false;
+        let parameterSource = "";
+        while(index < source.length) {
+            let character = source[index];
+            if(character == "\"") quoted = !quoted;
+            if(character == "," && !quoted) {
+                index++;
+                break;
+            }
+            parameterSource += character;
+            index++;
+        }
+        parameterSource.split(";").forEach(parameter => {
+            let separator = parameter.indexOf("=");
+            if(separator == -1) return;
+            let key = parameter.substring(0, separator).trim().toLowerCase();
+            let _value = parameter.substring(separator+1).trim();
+            if(_value.startsWith("\"") && _value.endsWith("\"") && _value.length >= 2) {
+                _value = _value.substring(1, _value.length-1);
+            }
+            if(key.length > 0 && link.parameters[key] == null) {
+                link.parameters[key] = _value;
+            }
+        });
+        links.push(link);
+    }
+    return links;
+}
+
+/**
+ * @param {string|Array<string>|undefined} value Link header field
+ * @param {string} baseUrl URL of the request, to resolve relative references
+ * @returns {string|undefined} URL of the link with rel="next"
+ */
+export function nextLink(value, baseUrl) {
+    let link = parseLinkHeader(value).find(link => link.parameters.rel != null && link.parameters.rel.split(/\s+/).map(rel => rel.toLowerCase()).includes("next"));
+    if(link == null) return undefined;
+    return new URL(link.url, baseUrl).toString();
 }
\ No newline at end of file
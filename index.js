@@ -11,9 +11,14 @@ import Inquirer from "inquirer";
 import { readFileSync } from "fs";
 import { PathfinderValidator } from "./validator.js";
 import YAML from "js-yaml";
-import { getFileList } from "./github.js";
+import { listSpecVersions } from "./spec.js";
 
 let settingFilePath;
+let specPath;
+let jsonReport;
+let junitReport;
+let include;
+let exclude;
 
 if(process.argv.length > 2) {
     let args = process.argv;
@@ -29,21 +34,39 @@ if(process.argv.length > 2) {
             if(value == null) continue;
             if(key == "setting") {
                 settingFilePath = value;
+            }else if(key == "spec-path") {
+                specPath = value;
+            }else if(key == "json-report") {
+                jsonReport = value;
+            }else if(key == "junit-report") {
+                junitReport = value;
+            }else if(key == "include") {
+                include = value;
+            }else if(key == "exclude") {
+                exclude = value;
             }
         }
     }
 }
 
-getFileList("wbcsd", "pact-openapi").then(specs => {
-    if(specs.length == 0) {
+let setting;
+if(settingFilePath != null) {
+    setting = loadSettingFile(settingFilePath);
+    if(specPath != null) {
+        setting.specPath = specPath;
+    }
+}
+
+/** @type {import("./spec.js").SpecSourceSetting} */
+let specSource = setting != null ? setting : {specPath: specPath};
+
+listSpecVersions(specSource).then(versions => {
+    if(versions.length == 0) {
         console.error(`None of the valid specification files could be loaded, please contact PACT.`);
         process.exit(1);
     }
-    let versions = specs
-        .map(spec => spec.substring("pact-openapi-".length, spec.lastIndexOf(".")))
-        .sort((ver1, ver2) => ver1 < ver2 ? 1 : (ver1 > ver2 ? -1 : 0));
-    if(settingFilePath != null) {
-        executeWithSettingFile(settingFilePath, versions);
+    if(setting != null) {
+        executeWithSettingFile(setting, versions);
     }else {
         executeWithCli(versions);
     }
@@ -54,38 +77,47 @@ getFileList("wbcsd", "pact-openapi").then(specs => {
 
 /**
  * @param {string} settingFilePath 
- * @param {Array<string>} versions Versions of technical specifications
- * @returns {Promise}
+ * @returns {object}
  */
-async function executeWithSettingFile(settingFilePath, versions) {
+function loadSettingFile(settingFilePath) {
     let setting;
     if(settingFilePath.endsWith(".json")) {
         setting = JSON.parse(readFileSync(settingFilePath, "utf8"));
     }else if(settingFilePath.endsWith(".yaml")) {
         setting = YAML.load(readFileSync(settingFilePath, "utf8"));
     }
-    if(setting == null) {
+    if(setting == null || typeof setting != "object") {
         console.error("The setting argument is invalid.");
         process.exit(1);
     }
+    return setting;
+}
 
+/**
+ * @param {object} setting 
+ * @param {Array<string>} versions Versions of technical specifications
+ * @returns {Promise}
+ */
+async function executeWithSettingFile(setting, versions) {
     if(setting.version == null) {
         throw new Error("The specVersion is not specified.");
     }else if(!versions.includes(setting.version)) {
         throw new Error(`The specified version [${setting.version}] is not supported.`);
     }
-    
-    try {
-        await PathfinderValidator.validate(setting);
-        if(setting.keepStub == undefined || !setting.keepStub) {
-            process.exit(0);
-        }else {
-            console.log("Control+C to exit.");
-        }
-    }catch(error) {
-        console.error(error.message, error.stack);
-        process.exit(1);
+    if(jsonReport != null) {
+        setting.jsonReport = jsonReport;
+    }
+    if(junitReport != null) {
+        setting.junitReport = junitReport;
+    }
+    if(include != null) {
+        setting.include = include;
     }
+    if(exclude != null) {
+        setting.exclude = exclude;
+    }
+    
+    await execute(setting);
 }
 
 /**
@@ -175,6 +207,26 @@ async function executeWithCli(versions) {
             type: "confirm",
             default: true
         },
+        {
+            name: "stubAdmin",
+            message: "Do you want to enable the control API of the stub server?\nWith this API, you can send Action Events to your test target and check the received events at any time.",
+            type: "confirm",
+            default: false,
+            when: answer => answer.keepStub
+        },
+        {
+            name: "stubAdminToken",
+            message: "Token required in the authorization header of the control API as Bearer",
+            type: "password",
+            when: answer => answer.stubAdmin,
+            validate: answer => {
+                if(answer.length > 0) {
+                    return true;
+                }else {
+                    return "Please enter a token.";
+                }
+            }
+        },
         {
             name: "stubDataEnabled",
             message: "Do you want to set the content of the data returned by the stub server?",
@@ -208,16 +260,63 @@ async function executeWithCli(versions) {
             delete setting.stubData.productIds;
         }
     }
+    if(specPath != null) {
+        setting.specPath = specPath;
+    }
+    if(jsonReport != null) {
+        setting.jsonReport = jsonReport;
+    }
+    if(junitReport != null) {
+        setting.junitReport = junitReport;
+    }
+    if(include != null) {
+        setting.include = include;
+    }
+    if(exclude != null) {
+        setting.exclude = exclude;
+    }
     
+    await execute(setting);
+}
+
+/**
+ * @param {import("./validator.js").PathfinderValidatorSetting} setting 
+ */
+async function execute(setting) {
     try {
-        await PathfinderValidator.validate(setting);
+        let outcome = await PathfinderValidator.validate(setting);
+        printSummary(outcome);
+        let exitCode = outcome.mandatoryFailed > 0 ? 1 : 0;
         if(setting.keepStub == undefined || !setting.keepStub) {
-            process.exit(0);
+            process.exit(exitCode);
         }else {
+            process.exitCode = exitCode;
             console.log("Control+C to exit.");
         }
     }catch(error) {
         console.error(error.message, error.stack);
         process.exit(1);
     }
+}
+
+/**
+ * @param {import("./validator.js").ValidationOutcome} outcome 
+ */
+function printSummary(outcome) {
+    console.log("");
+    console.table(outcome.results.map(result => {
+        return {
+            "ID": result.id,
+            "Test": result.title,
+            "Result": result.status == "passed" ? "PASS" : (result.status == "failed" ? "NG" : (result.status == "timeout" ? "TIMEOUT" : "SKIP")),
+            "Mandatory": result.mandatory ? "yes" : "no",
+            "Duration (ms)": result.duration
+        };
+    }));
+    console.log(`Total: ${outcome.total}  Passed: ${outcome.passed}  Failed: ${outcome.failed}  Timeout: ${outcome.timedOut}  Skipped: ${outcome.skipped}  Mandatory not passed: ${outcome.mandatoryFailed}`);
+    if(outcome.mandatoryFailed > 0) {
+        console.log("\u001b[31mThe target does not conform to the Tech Spec.\u001b[0m");
+    }else {
+        console.log("\u001b[32mAll mandatory test cases passed.\u001b[0m");
+    }
 }
\ No newline at end of file
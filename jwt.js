@@ -0,0 +1,108 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+import { constants, createHmac, sign } from "crypto";
+
+/**
+ * @typedef {object} DecodedJwt
+ * @property {any} header
+ * @property {any} claim
+ * @property {string} signature
+ */
+
+/**
+ * Thrown when the signature of the token is valid but its expiry has passed.
+ */
+export class TokenExpiredError extends Error {
+}
+
+/**
+ * Encodes and signs a token with HMAC SHA-256, regardless of the alg in the header.
+ * @param {object} header
+ * @param {object} claim
+ * @param {string} secret
+ * @returns {string}
+ */
+export function encodeJwt(header, claim, secret) {
+    let token = Buffer.from(JSON.stringify(header)).toString("base64url")+"."+Buffer.from(JSON.stringify(claim)).toString("base64url");
+    return token+"."+createHmac("sha256", secret).update(token).digest("base64url");
+}
+
+/**
+ * Encodes and signs a token with a private key according to the alg in the header.
+ * @param {{alg: string}} header
+ * @param {object} claim
+ * @param {string|Buffer} privateKey PEM encoded private key
+ * @returns {string}
+ */
+export function encodeSignedJwt(header, claim, privateKey) {
+    let matches = String(header.alg).match(/^(RS|PS|ES)(256|384|512)$/);
+    if(matches == null) {
+        throw new Error(`The algorithm is not supported. ALG: ${header.alg}`);
+    }
+    let token = Buffer.from(JSON.stringify(header)).toString("base64url")+"."+Buffer.from(JSON.stringify(claim)).toString("base64url");
+    /** @type {any} */
+    let key = {key: privateKey};
+    if(matches[1] == "PS") {
+        key.padding = constants.RSA_PKCS1_PSS_PADDING;
+        key.saltLength = Number(matches[2])/8;
+    }else if(matches[1] == "ES") {
+        // JWS requires the raw R || S form instead of DER.
+        key.dsaEncoding = "ieee-p1363";
+    }
+    return token+"."+sign("sha"+matches[2], Buffer.from(token), key).toString("base64url");
+}
+
+/**
+ * Decodes a token without verifying the signature.
+ * @param {string} token
+ * @returns {DecodedJwt|undefined} undefined if the token is not a JWT
+ */
+export function decodeJwt(token) {
+    if(typeof token != "string") return undefined;
+    let elements = token.split(".");
+    if(elements.length != 3) return undefined;
+    try {
+        let header = JSON.parse(Buffer.from(elements[0], "base64url").toString());
+        let claim = JSON.parse(Buffer.from(elements[1], "base64url").toString());
+        if(header == null || typeof header != "object" || claim == null || typeof claim != "object") {
+            return undefined;
+        }
+        return {header: header, claim: claim, signature: elements[2]};
+    }catch(error) {
+        return undefined;
+    }
+}
+
+/**
+ * @param {string} token
+ * @param {string} secret
+ * @returns {any} Claim of the token
+ */
+export function verifyJwt(token, secret) {
+    let decoded = decodeJwt(token);
+    if(decoded == null) {
+        throw new Error("Invalid token");
+    }
+    let header = decoded.header;
+    let claim = decoded.claim;
+    if(header.typ != "JWT" || header.alg != "HS256") {
+        throw new Error("Invalid token");
+    }
+    if(typeof claim.iss != "number" || typeof claim.exp != "number") {
+        throw new Error("Invalid token");
+    }
+    let elements = token.split(".");
+    let signature = createHmac("sha256", secret).update(elements[0]+"."+elements[1]).digest("base64url");
+    if(signature != decoded.signature) {
+        throw new Error("Invalid token");
+    }
+    if(claim.exp < new Date().getTime()/1000) {
+        throw new TokenExpiredError("Token expired");
+    }
+    return claim;
+}
\ No newline at end of file
@@ -0,0 +1,216 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+import { writeFileSync } from "fs";
+import { formatToIso8601String } from "./date-utils.js";
+
+/**
+ * @typedef {object} TestStepResult
+ * @property {TestRequest} request
+ * @property {TestExpectation} [expected]
+ * @property {TestActual} [actual]
+ * @property {number} duration Milliseconds
+ */
+
+/**
+ * @typedef {object} TestRequest
+ * @property {string} method
+ * @property {string} url
+ * @property {object} [headers]
+ * @property {any} [body]
+ */
+
+/**
+ * @typedef {object} TestExpectation
+ * @property {number|Array<number>} [status]
+ * @property {string|Array<string>} [headers]
+ * @property {string|Array<string>} [body]
+ */
+
+/**
+ * @typedef {object} TestActual
+ * @property {number|undefined} status
+ * @property {object} [headers]
+ * @property {any} [body]
+ */
+
+/**
+ * @typedef {object} TestResult
+ * @property {string} id
+ * @property {string} title
+ * @property {Array<string>} tags Tags of the test case, including mandatory or optional
+ * @property {"passed"|"failed"|"timeout"|"skipped"} status timeout if the target did not reply to an event in time
+ * @property {boolean} mandatory Whether the conformance depends on the test case passing
+ * @property {number} duration Milliseconds
+ * @property {Array<TestStepResult>} steps
+ * @property {Array<string>} failures
+ * @property {string} [skipReason]
+ */
+
+/**
+ * @typedef {object} ConformanceOutcome
+ * @property {number} total
+ * @property {number} passed
+ * @property {number} failed
+ * @property {number} timedOut
+ * @property {number} skipped
+ * @property {number} mandatoryFailed Number of failed or timed out test cases that are mandatory for the conformance
+ * @property {Array<TestResult>} results
+ */
+
+export class ConformanceReport {
+
+    /** @type {string} */
+    #specVersion;
+
+    /** @type {string} */
+    #dataContextPath;
+
+    /** @type {Date} */
+    #startedAt;
+
+    /** @type {Date|undefined} */
+    #finishedAt;
+
+    /** @type {Array<TestResult>} */
+    #results = [];
+
+    /**
+     * @param {string} specVersion
+     * @param {string} dataContextPath
+     */
+    constructor(specVersion, dataContextPath) {
+        this.#specVersion = specVersion;
+        this.#dataContextPath = dataContextPath;
+        this.#startedAt = new Date();
+    }
+
+    /**
+     * @returns {Array<TestResult>}
+     */
+    get results() {
+        return this.#results;
+    }
+
+    /**
+     * @param {TestResult} result
+     */
+    add(result) {
+        this.#results.push(result);
+    }
+
+    finish() {
+        this.#finishedAt = new Date();
+    }
+
+    /**
+     * @returns {ConformanceOutcome}
+     */
+    outcome() {
+        return {
+            total: this.#results.length,
+            passed: this.#results.filter(result => result.status == "passed").length,
+            failed: this.#results.filter(result => result.status == "failed").length,
+            timedOut: this.#results.filter(result => result.status == "timeout").length,
+            skipped: this.#results.filter(result => result.status == "skipped").length,
+            mandatoryFailed: this.#results.filter(result => (result.status == "failed" || result.status == "timeout") && result.mandatory).length,
+            results: this.#results
+        };
+    }
+
+    /**
+     * @returns {object}
+     */
+    toJSON() {
+        let finishedAt = this.#finishedAt != null ? this.#finishedAt : new Date();
+        let outcome = this.outcome();
+        return {
+            specVersion: this.#specVersion,
+            dataContextPath: this.#dataContextPath,
+            startedAt: formatToIso8601String(this.#startedAt, true),
+            finishedAt: formatToIso8601String(finishedAt, true),
+            duration: finishedAt.getTime() - this.#startedAt.getTime(),
+            summary: {
+                total: outcome.total,
+                passed: outcome.passed,
+                failed: outcome.failed,
+                timedOut: outcome.timedOut,
+                skipped: outcome.skipped,
+                mandatoryFailed: outcome.mandatoryFailed
+            },
+            testCases: this.#results
+        };
+    }
+
+    /**
+     * @returns {string}
+     */
+    toJUnitXml() {
+        let report = this.toJSON();
+        let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+        // JUnit XML has no timeout, so the timed out test cases are reported as failures.
+        let failures = report.summary.failed + report.summary.timedOut;
+        xml += `<testsuites name="PACT API Testbed" tests="${report.summary.total}" failures="${failures}" skipped="${report.summary.skipped}" time="${seconds(report.duration)}">\n`;
+        xml += `    <testsuite name="PACT Tech Spec ${escapeXml(this.#specVersion)}" tests="${report.summary.total}" failures="${failures}" skipped="${report.summary.skipped}" time="${seconds(report.duration)}" timestamp="${report.startedAt}">\n`;
+        xml += `        <properties>\n`;
+        xml += `            <property name="specVersion" value="${escapeXml(this.#specVersion)}"/>\n`;
+        xml += `            <property name="dataContextPath" value="${escapeXml(this.#dataContextPath)}"/>\n`;
+        xml += `        </properties>\n`;
+        this.#results.forEach(result => {
+            xml += `        <testcase name="${escapeXml(result.title)}" classname="pact-api-testbed" time="${seconds(result.duration)}">\n`;
+            if(result.status == "failed" || result.status == "timeout") {
+                let message = result.failures.length > 0 ? result.failures[0] : "Failed";
+                xml += `            <failure message="${escapeXml(message)}" type="${result.status}">${escapeXml(result.failures.join("\n"))}</failure>\n`;
+            }else if(result.status == "skipped") {
+                xml += `            <skipped${result.skipReason != null ? ` message="${escapeXml(result.skipReason)}"` : ""}/>\n`;
+            }
+            if(result.steps.length > 0) {
+                xml += `            <system-out>${escapeXml(JSON.stringify(result.steps, null, 4))}</system-out>\n`;
+            }
+            xml += `        </testcase>\n`;
+        });
+        xml += `    </testsuite>\n`;
+        xml += `</testsuites>\n`;
+        return xml;
+    }
+
+    /**
+     * @param {string} filePath
+     */
+    writeJson(filePath) {
+        writeFileSync(filePath, JSON.stringify(this.toJSON(), null, 4), "utf8");
+    }
+
+    /**
+     * @param {string} filePath
+     */
+    writeJUnitXml(filePath) {
+        writeFileSync(filePath, this.toJUnitXml(), "utf8");
+    }
+}
+
+/**
+ * @param {string} string
+ * @returns {string}
+ */
+function escapeXml(string) {
+    return String(string)
+        .replaceAll("&", "&amp;")
+        .replaceAll("<", "&lt;")
+        .replaceAll(">", "&gt;")
+        .replaceAll("\"", "&quot;")
+        .replaceAll("'", "&apos;")
+        .replaceAll(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+}
+
+/**
+ * @param {number} milliseconds
+ * @returns {string}
+ */
+function seconds(milliseconds) {
+    return (milliseconds/1000).toFixed(3);
+}
\ No newline at end of file
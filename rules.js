@@ -0,0 +1,186 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+import { parseIso8601String } from "./date-utils.js";
+
+/**
+ * @typedef {object} SemanticRule
+ * @property {string} id
+ * @property {string} description
+ * @property {(footprint: any) => Array<string>} validate Returns the messages of the violations
+ */
+
+/**
+ * @typedef {object} RuleViolation
+ * @property {string} ruleId
+ * @property {string} footprintId
+ * @property {string} message
+ */
+
+const URN_PATTERN = /^urn:[a-z0-9][a-z0-9-]{0,31}:\S+$/i;
+
+/**
+ * Cross-field rules of the Tech Spec, which cannot be expressed by the JSON schema.
+ * @type {Array<SemanticRule>}
+ */
+export const DEFAULT_RULES = [
+    {
+        id: "reference-period",
+        description: "referencePeriodEnd must be after referencePeriodStart.",
+        validate: footprint => {
+            let pcf = footprint.pcf;
+            if(pcf == null) return [];
+            // Tech Spec ver 1 names it the reporting period.
+            let start = pcf.referencePeriodStart != null ? pcf.referencePeriodStart : pcf.reportingPeriodStart;
+            let end = pcf.referencePeriodEnd != null ? pcf.referencePeriodEnd : pcf.reportingPeriodEnd;
+            if(start == null || end == null) return [];
+            let startDate = parseIso8601String(start);
+            let endDate = parseIso8601String(end);
+            if(startDate == null || endDate == null) {
+                return [`The reference period cannot be interpreted. START: ${start} END: ${end}`];
+            }
+            if(endDate.getTime() <= startDate.getTime()) {
+                return [`The end of the reference period is not after the start. START: ${start} END: ${end}`];
+            }
+            return [];
+        }
+    },
+    {
+        id: "pcf-biogenic-consistency",
+        description: "The PCF excluding biogenic emissions must be consistent with the PCF including them.",
+        validate: footprint => {
+            let pcf = footprint.pcf;
+            if(pcf == null) return [];
+            let messages = [];
+            // Tech Spec ver 3 renamed them to pcfExcludingBiogenicUptake and pcfIncludingBiogenicUptake.
+            // An invalid specVersion is left to the schema validation.
+            let renamed = Number(String(footprint.specVersion).split(".")[0]) >= 3
+                || (pcf.pCfExcludingBiogenic == null && pcf.pCfIncludingBiogenic == null && (pcf.pcfExcludingBiogenicUptake != null || pcf.pcfIncludingBiogenicUptake != null));
+            let excludingName = renamed ? "pcfExcludingBiogenicUptake" : "pCfExcludingBiogenic";
+            let includingName = renamed ? "pcfIncludingBiogenicUptake" : "pCfIncludingBiogenic";
+            let excluding = pcf[excludingName];
+            let including = pcf[includingName];
+            let withdrawal = pcf.biogenicCarbonWithdrawal;
+            if(excluding != null && Number(excluding) < 0) {
+                messages.push(`${excludingName} must not be negative. VALUE: ${excluding}`);
+            }
+            if(withdrawal != null && Number(withdrawal) > 0) {
+                messages.push(`biogenicCarbonWithdrawal must not be positive. VALUE: ${withdrawal}`);
+            }
+            if(including != null && excluding == null) {
+                messages.push(`${includingName} is set without ${excludingName}.`);
+            }
+            // The biogenic carbon withdrawal is the only contribution that can make the PCF including biogenic emissions smaller than the one excluding them.
+            if(including != null && excluding != null && withdrawal != null) {
+                if(Number(including) - Number(excluding) < Number(withdrawal) - 1e-9) {
+                    messages.push(`${includingName} is smaller than ${excludingName} by more than biogenicCarbonWithdrawal. INCLUDING: ${including} EXCLUDING: ${excluding} WITHDRAWAL: ${withdrawal}`);
+                }
+            }
+            return messages;
+        }
+    },
+    {
+        id: "company-ids-urn",
+        description: "companyIds must be valid URNs.",
+        validate: footprint => validateUrns(footprint.companyIds, "companyIds")
+    },
+    {
+        id: "product-ids-urn",
+        description: "productIds must be valid URNs.",
+        validate: footprint => validateUrns(footprint.productIds, "productIds")
+    },
+    {
+        id: "version-non-negative-integer",
+        description: "version must be a non-negative integer.",
+        validate: footprint => {
+            if(footprint.version === undefined) return [];
+            if(!Number.isInteger(footprint.version) || footprint.version < 0) {
+                return [`version is not a non-negative integer. VALUE: ${footprint.version}`];
+            }
+            return [];
+        }
+    },
+    {
+        id: "deprecated-preceding-pf-ids",
+        description: "precedingPfIds must be set when the status is Deprecated.",
+        validate: footprint => {
+            if(footprint.status != "Deprecated") return [];
+            if(!Array.isArray(footprint.precedingPfIds) || footprint.precedingPfIds.length == 0) {
+                return [`precedingPfIds is not set although the status is Deprecated.`];
+            }
+            return [];
+        }
+    }
+];
+
+export class SemanticValidator {
+
+    /** @type {Array<SemanticRule>} */
+    #rules;
+
+    /**
+     * @param {Array<SemanticRule>} [rules] DEFAULT_RULES if omitted
+     */
+    constructor(rules) {
+        this.#rules = rules != null ? [...rules] : [...DEFAULT_RULES];
+    }
+
+    /**
+     * @returns {Array<SemanticRule>}
+     */
+    get rules() {
+        return this.#rules;
+    }
+
+    /**
+     * @param {SemanticRule} rule
+     */
+    addRule(rule) {
+        if(this.#rules.some(_rule => _rule.id == rule.id)) {
+            throw new Error(`The rule [${rule.id}] is already registered.`);
+        }
+        this.#rules.push(rule);
+    }
+
+    /**
+     * @param {any} footprint
+     * @returns {Array<RuleViolation>}
+     */
+    validate(footprint) {
+        let footprintId = footprint != null && footprint.id != null ? footprint.id : "unknown id";
+        if(footprint == null || typeof footprint != "object") {
+            return [{ruleId: "footprint", footprintId: footprintId, message: "The footprint is not an object."}];
+        }
+        return this.#rules.reduce((result, rule) => {
+            let messages;
+            try {
+                messages = rule.validate(footprint);
+            }catch(error) {
+                messages = [`The rule could not be applied. ${error.message}`];
+            }
+            messages.forEach(message => {
+                result.push({ruleId: rule.id, footprintId: footprintId, message: message});
+            });
+            return result;
+        }, /** @type {Array<RuleViolation>} */([]));
+    }
+}
+
+/**
+ * @param {any} ids
+ * @param {string} propertyName
+ * @returns {Array<string>}
+ */
+function validateUrns(ids, propertyName) {
+    if(ids == null) return [];
+    if(!Array.isArray(ids)) {
+        return [`${propertyName} is not an array.`];
+    }
+    return ids
+        .filter(id => typeof id != "string" || !URN_PATTERN.test(id))
+        .map(id => `${propertyName} contains an invalid URN. VALUE: ${id}`);
+}
\ No newline at end of file
@@ -0,0 +1,216 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+import { existsSync, mkdirSync, readFileSync, readdirSync, statSync, writeFileSync } from "fs";
+import { homedir } from "os";
+import { join, basename } from "path";
+import YAML from "js-yaml";
+import { getFile, getFileList } from "./github.js";
+
+const SPEC_REPOSITORY_OWNER = "wbcsd";
+const SPEC_REPOSITORY = "pact-openapi";
+
+/**
+ * Versions of the Tech Spec known at the time of release, used when neither GitHub nor the local files can provide the list.
+ */
+export const KNOWN_VERSIONS = ["2.0.0", "2.1.0", "2.2.0", "2.3.0", "3.0.0"];
+
+const SPEC_FILE_PATTERN = /^pact-openapi-(\d+\.\d+\.\d+)\.(yaml|yml|json)$/;
+
+/**
+ * @typedef {object} SpecSourceSetting
+ * @property {string} [specPath] An OpenAPI file, or a directory containing pact-openapi-{version}.yaml files
+ * @property {string} [specCachePath] Directory to store the files downloaded from GitHub
+ * @property {boolean} [offline] If true, GitHub is never accessed
+ */
+
+/**
+ * @param {SpecSourceSetting} [setting]
+ * @returns {Promise<Array<string>>} Versions of technical specifications in descending order
+ */
+export async function listSpecVersions(setting) {
+    if(setting == null) setting = {};
+    /** @type {Array<string>} */
+    let versions = [];
+    if(setting.specPath != null) {
+        if(!existsSync(setting.specPath)) {
+            throw new Error(`The specPath [${setting.specPath}] does not exist.`);
+        }
+        if(statSync(setting.specPath).isDirectory()) {
+            versions = listLocalVersions(setting.specPath);
+            if(versions.length == 0) {
+                throw new Error(`The specPath [${setting.specPath}] does not contain any pact-openapi-{version}.yaml file.`);
+            }
+            return sortVersions(versions);
+        }
+        let spec = parseSpec(readFileSync(setting.specPath), setting.specPath);
+        return [specFileVersion(spec, setting.specPath)];
+    }
+
+    versions = listLocalVersions(cachePath(setting));
+    if(setting.offline == null || !setting.offline) {
+        try {
+            let specs = await getFileList(SPEC_REPOSITORY_OWNER, SPEC_REPOSITORY);
+            specs.forEach(spec => {
+                let matches = spec.match(SPEC_FILE_PATTERN);
+                if(matches != null && !versions.includes(matches[1])) {
+                    versions.push(matches[1]);
+                }
+            });
+            if(versions.length > 0) {
+                return sortVersions(versions);
+            }
+        }catch(error) {
+            console.error(`The list of specifications could not be retrieved from GitHub, the known versions are used instead. ${error.message}`);
+        }
+    }
+    KNOWN_VERSIONS.forEach(version => {
+        if(!versions.includes(version)) {
+            versions.push(version);
+        }
+    });
+    return sortVersions(versions);
+}
+
+/**
+ * Loads the OpenAPI specification from the specPath, the cache or GitHub, in this order.
+ * The file downloaded from GitHub is cached, so that subsequent runs use exactly the same specification.
+ * @param {string} version
+ * @param {SpecSourceSetting} [setting]
+ * @returns {Promise<object>}
+ */
+export async function loadSpec(version, setting) {
+    if(setting == null) setting = {};
+    if(setting.specPath != null) {
+        if(!existsSync(setting.specPath)) {
+            throw new Error(`The specPath [${setting.specPath}] does not exist.`);
+        }
+        if(!statSync(setting.specPath).isDirectory()) {
+            let spec = parseSpec(readFileSync(setting.specPath), setting.specPath);
+            let fileVersion = specFileVersion(spec, setting.specPath);
+            if(fileVersion != version) {
+                throw new Error(`The specPath [${setting.specPath}] is the specification of version [${fileVersion}], not [${version}].`);
+            }
+            return spec;
+        }
+        let filePath = findLocalFile(setting.specPath, version);
+        if(filePath == null) {
+            throw new Error(`The specification of version [${version}] was not found in the specPath [${setting.specPath}].`);
+        }
+        return parseSpec(readFileSync(filePath), filePath);
+    }
+
+    let directory = cachePath(setting);
+    let filePath = findLocalFile(directory, version);
+    if(filePath != null) {
+        return parseSpec(readFileSync(filePath), filePath);
+    }
+    if(setting.offline != null && setting.offline) {
+        throw new Error(`The specification of version [${version}] is not cached in [${directory}] and cannot be downloaded in offline mode.`);
+    }
+
+    let fileName = `pact-openapi-${version}.yaml`;
+    let file = await getFile(SPEC_REPOSITORY_OWNER, SPEC_REPOSITORY, fileName);
+    let spec = parseSpec(file, fileName);
+    try {
+        mkdirSync(directory, {recursive: true});
+        writeFileSync(join(directory, fileName), file);
+    }catch(error) {
+        console.error(`The specification could not be cached in [${directory}]. ${error.message}`);
+    }
+    return spec;
+}
+
+/**
+ * @param {SpecSourceSetting} setting
+ * @returns {string}
+ */
+function cachePath(setting) {
+    if(setting.specCachePath != null) {
+        return setting.specCachePath;
+    }
+    return join(homedir(), ".pact-api-testbed", "specs");
+}
+
+/**
+ * @param {string} directory
+ * @returns {Array<string>}
+ */
+function listLocalVersions(directory) {
+    if(!existsSync(directory)) return [];
+    return readdirSync(directory).reduce((result, fileName) => {
+        let matches = fileName.match(SPEC_FILE_PATTERN);
+        if(matches != null && !result.includes(matches[1])) {
+            result.push(matches[1]);
+        }
+        return result;
+    }, /** @type {Array<string>} */([]));
+}
+
+/**
+ * @param {string} directory
+ * @param {string} version
+ * @returns {string|undefined}
+ */
+function findLocalFile(directory, version) {
+    if(!existsSync(directory)) return undefined;
+    let fileName = readdirSync(directory).find(fileName => {
+        let matches = fileName.match(SPEC_FILE_PATTERN);
+        return matches != null && matches[1] == version;
+    });
+    return fileName != null ? join(directory, fileName) : undefined;
+}
+
+/**
+ * @param {Buffer} file
+ * @param {string} fileName
+ * @returns {object}
+ */
+function parseSpec(file, fileName) {
+    let spec = fileName.endsWith(".json") ? JSON.parse(file.toString()) : YAML.load(file.toString());
+    if(spec == null || typeof spec != "object") {
+        throw new Error(`The specification [${fileName}] is invalid.`);
+    }
+    return spec;
+}
+
+/**
+ * Resolves the version of a specification file given as the specPath, preferring its info.version to its name.
+ * @param {object} spec
+ * @param {string} filePath
+ * @returns {string}
+ */
+function specFileVersion(spec, filePath) {
+    let info = /** @type {any} */(spec).info;
+    if(info != null && info.version != null) {
+        return String(info.version);
+    }
+    let matches = basename(filePath).match(SPEC_FILE_PATTERN);
+    if(matches != null) {
+        return matches[1];
+    }
+    throw new Error(`The version of the specPath [${filePath}] cannot be determined.`);
+}
+
+/**
+ * @param {Array<string>} versions
+ * @returns {Array<string>}
+ */
+function sortVersions(versions) {
+    return versions.sort((ver1, ver2) => {
+        let elements1 = ver1.split(".").map(Number);
+        let elements2 = ver2.split(".").map(Number);
+        for(let i=0; i<Math.max(elements1.length, elements2.length); i++) {
+            let element1 = elements1[i] != null ? elements1[i] : 0;
+            let element2 = elements2[i] != null ? elements2[i] : 0;
+            if(element1 != element2) {
+                return element2 - element1;
+            }
+        }
+        return 0;
+    });
+}
\ No newline at end of file
@@ -0,0 +1,19 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+/**
+ * @param {number} length 
+ * @returns {string} Random alphanumeric string
+ */
+export function randomString(length) {
+    let variation = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+    let string = "";
+    for(let i=0; i<length; i++) {
+        string += variation[Math.floor(Math.random()*variation.length)];
+    }
+    return string;
+}
\ No newline at end of file
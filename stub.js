@@ -6,19 +6,84 @@
 // @ts-check
 
 import Http from "http";
+import querystring from "node:querystring";
+import Https from "https";
+import { readFileSync } from "fs";
+import { timingSafeEqual } from "crypto";
 import { v4 as UUID } from "uuid";
-import { createHmac } from "crypto";
 import { formatToIso8601String } from "./date-utils.js";
 import { Http as HttpClient } from "./http.js";
 import { Logger } from "./logger.js";
 import { EventEmitter } from "events";
+import { pathPrefix, majorVersion, eventsDefined, eventTypes, EVENT_ERROR_CODES } from "./versions.js";
+import { encodeJwt, verifyJwt, TokenExpiredError } from "./jwt.js";
+import { createTokenRequest } from "./auth.js";
+import { loadDataset, generateDataset } from "./dataset.js";
+import { parseFilter, matchesFilter } from "./filter.js";
+import { generateSelfSignedCertificate } from "./certificate.js";
+import { validateCloudEvent, InvalidEventError } from "./cloudevents.js";
 
 /**
  * @typedef {object} StubPathfinderServerSetting
  * @property {string} contextPath
+ * @property {string} [version] Version of the Tech Spec served by the stub server, 2.2.0 by default
  * @property {DestinationServer} destinationServer
+ * @property {StubCredentials} credentials Client id and secret that the target must present to Action Authenticate of the stub server
  * @property {import("./logger.js").LoggerSetting} logSetting
+ * @property {string} [host] Host name or address the stub server binds to, all interfaces by default
+ * @property {number} [port] Port the stub server listens on, the port of the context path by default
+ * @property {StubTlsSetting} [tls] Used if the context path is https
  * @property {StubFootprint} [data]
+ * @property {import("./dataset.js").StubDatasetSetting} [dataset] Footprints served by Action ListFootprints and Action GetFootprint, 10 random footprints if omitted
+ * @property {boolean} [admin] If true, the control API is served under /admin
+ * @property {string} [adminToken] Bearer token required by the control API, which is mandatory if admin is true
+ * @property {(event: any) => Array<string>} [eventValidator] Additional validation of the received events, returning the error messages
+ * @property {number} [replyTimeout] Seconds within which the target must reply to a ProductFootprintRequest Created event, 60 by default
+ */
+
+/**
+ * @typedef {object} StubCredentials
+ * @property {string} userName
+ * @property {string} password
+ */
+
+/**
+ * @typedef {object} StubTlsSetting
+ * @property {string} [certPath] PEM file of the server certificate, a self-signed certificate is generated if omitted
+ * @property {string} [keyPath] PEM file of the private key of the server certificate
+ */
+
+/**
+ * @typedef {object} ReceivedEvent
+ * @property {string} receivedAt
+ * @property {any} event Request body, undefined if it could not be read
+ * @property {Array<string>} errors Empty if the event is valid
+ */
+
+/**
+ * @typedef {object} SentEvent
+ * @property {string} sentAt
+ * @property {any} event
+ * @property {number|undefined} status Status code of the response of the target
+ * @property {any} [response] Response body of the target
+ */
+
+/**
+ * @typedef {object} TrackedRequest
+ * @property {string} eventId Id of the ProductFootprintRequest Created event sent to the target
+ * @property {object} fragment Properties that the footprints in the reply must match
+ * @property {string} sentAt
+ * @property {"pending"|"fulfilled"|"rejected"|"timeout"} status
+ * @property {any} [reply] Fulfilled or Rejected event of the target
+ * @property {string} [repliedAt]
+ * @property {Array<string>} errors Empty if the reply is valid
+ */
+
+/**
+ * @typedef {object} FootprintRetrieval
+ * @property {boolean} authenticated Whether the target obtained an access token from the stub server
+ * @property {Array<string>} retrievedIds Ids of the footprints that the target retrieved
+ * @property {boolean} completed Whether all the footprints were retrieved before the timeout
  */
 
 /**
@@ -29,6 +94,7 @@ import { EventEmitter } from "events";
  * @property {string} password
  * @property {string} dataContextPath
  * @property {string} pathPrefex
+ * @property {import("./auth.js").ClientAuthenticationSetting} [authentication] client_secret_basic if omitted
  */
 
 /**
@@ -48,42 +114,163 @@ export class StubPathfinderServer extends EventEmitter {
     /** @type {DestinationServer} */
     #destinationServer;
 
+    /** @type {string} */
+    #version;
+
+    /** @type {string} */
+    #pathPrefix;
+
+    /**
+     * Path component of the context path, under which all routes are mounted
+     * @type {string}
+     */
+    #basePath;
+
     /** @type {StubFootprint|undefined} */
     #data
 
     /** @type {Logger} */
     #logger
 
+    /** @type {Array<any>} */
+    #footprints;
+
+    /** @type {StubCredentials} */
+    #credentials;
+
+    /** @type {boolean} */
+    #admin;
+
+    /** @type {string|undefined} */
+    #adminToken;
+
+    /** @type {((event: any) => Array<string>)|undefined} */
+    #eventValidator;
+
+    /** @type {Array<ReceivedEvent>} */
+    #receivedEvents = [];
+
+    /** @type {Array<SentEvent>} */
+    #sentEvents = [];
+
+    /** @type {number} */
+    #replyTimeout;
+
+    /** @type {Map<string, TrackedRequest>} */
+    #trackedRequests = new Map();
+
+    /**
+     * Last time each footprint was served, in milliseconds since the epoch
+     * @type {Map<string, number>}
+     */
+    #retrievedFootprints = new Map();
+
+    /** @type {number|undefined} */
+    #authenticatedAt;
+
+    /**
+     * Pairs of the source and the id of the received events, which must be unique
+     * @type {Set<string>}
+     */
+    #receivedEventIds = new Set();
+
+    /**
+     * Ids of the ProductFootprintRequest Created events received from the target, which the target may also reject
+     * @type {Set<string>}
+     */
+    #receivedRequestIds = new Set();
+
     /**
      * @param {StubPathfinderServerSetting} setting 
      */
     constructor(setting) {
         super();
 
-        this.#contextPath = setting.contextPath;
+        this.#contextPath = setting.contextPath.replace(/\/+$/, "");
         this.#destinationServer = setting.destinationServer;
-        let port = new URL(this.#contextPath).port;
+        this.#version = setting.version != null ? setting.version : "2.2.0";
+        this.#pathPrefix = pathPrefix(this.#version);
+        let contextUrl = new URL(this.#contextPath);
+        this.#basePath = contextUrl.pathname.replace(/\/+$/, "");
+        let secure = contextUrl.protocol == "https:";
+        let port;
+        if(setting.port != null) {
+            port = setting.port;
+        }else if(contextUrl.port != "") {
+            port = Number(contextUrl.port);
+        }else {
+            port = secure ? 443 : 80;
+        }
 
         this.#data = setting.data;
+        let dataset = setting.dataset != null ? setting.dataset : {};
+        if(dataset.path != null) {
+            this.#footprints = loadDataset(dataset.path);
+        }else {
+            let seed = dataset.seed != null ? dataset.seed : Math.floor(Math.random()*4294967296);
+            this.#footprints = generateDataset(this.#version, seed, dataset.size != null ? dataset.size : 10);
+            let data = this.#data;
+            if(data != null) {
+                this.#footprints.forEach(footprint => {
+                    if(data.companyIds != null) footprint.companyIds = data.companyIds;
+                    if(data.productIds != null) footprint.productIds = data.productIds;
+                });
+                if(data.id != null && this.#footprints.length > 0) {
+                    this.#footprints[0].id = data.id;
+                }
+            }
+        }
+        this.#credentials = setting.credentials;
+        if(this.#credentials == null || this.#credentials.userName == null || this.#credentials.password == null) {
+            throw new Error("The credentials are required for Action Authenticate of the stub server.");
+        }
+        this.#admin = setting.admin != null ? setting.admin : false;
+        this.#adminToken = setting.adminToken;
+        // The control API sends events with the credentials of the target, so it is never served without a token.
+        if(this.#admin && (this.#adminToken == null || this.#adminToken.length == 0)) {
+            throw new Error("The admin token is required for the control API of the stub server.");
+        }
+        this.#eventValidator = setting.eventValidator;
+        this.#replyTimeout = (setting.replyTimeout != null ? setting.replyTimeout : 60) * 1000;
 
         this.#logger = new Logger(undefined, setting.logSetting);
 
-        const server = Http.createServer((request, response) => {
+        /** @type {Http.RequestListener} */
+        const listener = (request, response) => {
             this.#logger.writeLog(`Stub server received request ${request.method} ${request.url}.`);
             if(request.url == null) {
                 this.handleNotFoundError(response);
                 return;
             }
-            if(request.url == "/auth/token") {
+            let path = request.url.split("?")[0];
+            if(path != this.#basePath && !path.startsWith(this.#basePath + "/")) {
+                this.handleNotFoundError(response);
+                return;
+            }
+            path = path.substring(this.#basePath.length);
+            let method = request.method != null ? request.method.toUpperCase() : "";
+            if(path == "/auth/token") {
+                if(method != "POST") {
+                    this.handleMethodNotAllowedError(response, ["POST"]);
+                    return;
+                }
                 this.handleAuthenticate(request, response).catch(error => {
-                    this.handleUnauthorizedError(response, error.message);
+                    if(error instanceof OAuthError) {
+                        this.handleOAuthError(response, error);
+                    }else {
+                        this.handleUnauthorizedError(response, error.message);
+                    }
                     this.emit("error", error);
                 });
-            }else if(request.url.startsWith("/2/footprints")) {
+            }else if(path == this.#pathPrefix + "/footprints" || path.startsWith(this.#pathPrefix + "/footprints/")) {
+                if(method != "GET") {
+                    this.handleMethodNotAllowedError(response, ["GET"]);
+                    return;
+                }
                 try {
                     this.handleAuthorization(request);
                 }catch(error) {
-                    this.handleForbiddenError(response, error.message);
+                    this.handleAuthorizationError(request, response, error);
                     this.emit("error", error);
                     return;
                 }
@@ -93,29 +280,71 @@ export class StubPathfinderServer extends EventEmitter {
                     this.handleBadRequestError(response, error.message);
                     this.emit("error", error);
                 }
-            }else if(request.url == "/2/events") {
+            }else if(path == this.#pathPrefix + "/events" && eventsDefined(this.#version)) {
+                if(method != "POST") {
+                    this.handleMethodNotAllowedError(response, ["POST"]);
+                    return;
+                }
                 try {
                     this.handleAuthorization(request);
                 }catch(error) {
-                    this.handleForbiddenError(response, error.message);
+                    this.handleAuthorizationError(request, response, error);
                     this.emit("error", error);
                     return;
                 }
-                this.handleEvents(request, response).then(requestBody => {
+                let requestBody;
+                this.retrieveRequest(request).then(_requestBody => {
+                    requestBody = _requestBody;
+                    return this.handleEvents(request, response, requestBody);
+                }).then(() => {
+                    this.recordReceivedEvent(requestBody);
                     this.emit("data", requestBody);
                 }).catch(error => {
-                    this.handleBadRequestError(response, error.message);
+                    this.recordReceivedEvent(requestBody, error instanceof InvalidEventError ? error.errors : [error.message]);
+                    // The response has already been sent if the error occurred while fulfilling the request.
+                    if(!response.headersSent) {
+                        this.handleBadRequestError(response, error.message);
+                    }
+                    this.emit("error", error);
+                });
+            }else if(this.#admin && path.startsWith("/admin/")) {
+                if(!this.verifyAdminToken(request)) {
+                    this.handleForbiddenError(response, "The admin token is invalid.");
+                    return;
+                }
+                this.handleAdmin(request, response, path).catch(error => {
+                    if(!response.headersSent) {
+                        this.handleInternalServerError(response, error);
+                    }
                     this.emit("error", error);
                 });
             }else {
                 this.handleNotFoundError(response);
                 return;
             }
-        });
+        };
+        let server;
+        if(secure) {
+            let tls = setting.tls != null ? setting.tls : {};
+            let certificate;
+            if(tls.certPath != null || tls.keyPath != null) {
+                if(tls.certPath == null || tls.keyPath == null) {
+                    throw new Error("Both the certificate and the private key are required for the stub server.");
+                }
+                certificate = {cert: readFileSync(tls.certPath), key: readFileSync(tls.keyPath)};
+            }else {
+                // Partners calling the stub server have to trust this certificate explicitly.
+                certificate = generateSelfSignedCertificate(contextUrl.hostname);
+                this.#logger.writeLog(`The stub server generated a self-signed certificate for ${contextUrl.hostname}.\n${certificate.cert}`);
+            }
+            server = Https.createServer(certificate, listener);
+        }else {
+            server = Http.createServer(listener);
+        }
         server.on("listening", () => {
-            this.#logger.writeLog(`StubPathfinderServer is listening on ${port}.`);
+            this.#logger.writeLog(`StubPathfinderServer is listening on ${setting.host != null ? setting.host+":" : ""}${port}.`);
         });
-        server.listen(port);
+        server.listen(port, setting.host);
     }
 
     /**
@@ -124,21 +353,68 @@ export class StubPathfinderServer extends EventEmitter {
      * @returns {Promise<object>}
      */
     async handleAuthenticate(request, response) {
+        let requestBody = await this.retrieveRequest(request);
+        let contentType = request.headers["content-type"];
+        /** @type {querystring.ParsedUrlQuery} */
+        let parameters = {};
+        if(contentType != null && contentType.startsWith("application/x-www-form-urlencoded") && requestBody instanceof Buffer) {
+            parameters = querystring.parse(requestBody.toString("utf8"));
+        }
+
+        // Both client_secret_basic and client_secret_post are accepted, as RFC 6749 allows.
+        let userName;
+        let password;
         let authorization = request.headers.authorization;
-        if(authorization == null) {
-            throw new Error("The authorization header of the request is empty.");
+        if(authorization != null) {
+            if(!authorization.startsWith("Basic ")) {
+                throw new OAuthError(401, "invalid_client", "The authorization header of the request is not Basic.");
+            }
+            let decoded = Buffer.from(authorization.substring("Basic ".length).trim(), "base64").toString("utf8");
+            let index = decoded.indexOf(":");
+            if(index < 0) {
+                throw new OAuthError(401, "invalid_client", "The authorization header of the request is invalid.");
+            }
+            userName = decoded.substring(0, index);
+            password = decoded.substring(index+1);
+        }else if(typeof parameters.client_id == "string" && typeof parameters.client_secret == "string") {
+            userName = parameters.client_id;
+            password = parameters.client_secret;
+        }else {
+            throw new OAuthError(401, "invalid_client", "The client credentials are not specified.");
         }
-        if(!authorization.startsWith("Basic ")) {
-            throw new Error(`The authorization header of the request is invalid. ${authorization}`);
+        if(!this.matchesCredentials(userName, password)) {
+            throw new OAuthError(401, "invalid_client", "The client credentials are invalid.");
         }
-        authorization = authorization.substring("Basic ".length).trim();
-        let credentials = Buffer.from(authorization, "base64").toString("utf8").split(":");
-        if(credentials.length != 2) {
-            throw new Error(`The authorization header of the request is invalid. ${authorization}`);
+
+        if(contentType == null || !contentType.startsWith("application/x-www-form-urlencoded")) {
+            throw new OAuthError(400, "invalid_request", `The content-type of the request must be application/x-www-form-urlencoded. ${contentType}`);
+        }
+        if(parameters.grant_type == null) {
+            throw new OAuthError(400, "invalid_request", "The grant_type is not specified.");
+        }
+        if(parameters.grant_type != "client_credentials") {
+            throw new OAuthError(400, "unsupported_grant_type", `The grant_type must be client_credentials. ${parameters.grant_type}`);
         }
-        await this.retrieveRequest(request);
         let responseBody = {token_type: "Bearer", access_token: this.generateJwtToken()};
         this.handleJson(response, responseBody);
+        this.#authenticatedAt = new Date().getTime();
+    }
+
+    /**
+     * @param {string} userName 
+     * @param {string} password 
+     * @returns {boolean}
+     */
+    matchesCredentials(userName, password) {
+        let equals = (/** @type {string} */ actual, /** @type {string} */ expected) => {
+            let actualBuffer = Buffer.from(actual, "utf8");
+            let expectedBuffer = Buffer.from(expected, "utf8");
+            return actualBuffer.length == expectedBuffer.length && timingSafeEqual(actualBuffer, expectedBuffer);
+        };
+        // Both are compared so that the time does not tell which one is wrong.
+        let userNameMatches = equals(userName, this.#credentials.userName);
+        let passwordMatches = equals(password, this.#credentials.password);
+        return userNameMatches && passwordMatches;
     }
 
     /**
@@ -157,59 +433,134 @@ export class StubPathfinderServer extends EventEmitter {
     }
 
     /**
+     * Tech Spec: an invalid access token results in BadRequest, and an expired one in TokenExpired.
+     * A request without an access token is refused with AccessDenied, as the requesting party is unknown.
      * @param {Http.IncomingMessage} request 
      * @param {Http.ServerResponse} response 
+     * @param {Error} error Thrown by handleAuthorization
      */
-    handleProductFootprints(request, response) {
-        if(request.url == null) throw new Error("URL cannot be interpreted.");
-        if(/.+\/[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(request.url)) {
-            let pfId = request.url.substring(request.url.lastIndexOf("/")+1);
-            let responseBody = {data: this.generateFootprint(pfId)};
-            this.handleJson(response, responseBody);
+    handleAuthorizationError(request, response, error) {
+        if(error instanceof TokenExpiredError) {
+            this.handleTokenExpiredError(response, error.message);
+        }else if(request.headers.authorization == null) {
+            this.handleForbiddenError(response, error.message);
         }else {
-            let responseBody = {data: [this.generateFootprint()]};
-            this.handleJson(response, responseBody);
+            this.handleBadRequestError(response, error.message);
         }
     }
 
     /**
      * @param {Http.IncomingMessage} request 
      * @param {Http.ServerResponse} response 
-     * @returns {Promise<object>}
      */
-    async handleEvents(request, response) {
-        let requestBody = await this.retrieveRequest(request);
-        
-        if(requestBody == null || typeof requestBody != "object") {
-            throw new Error("Invalid request.");
+    handleProductFootprints(request, response) {
+        if(request.url == null) throw new Error("URL cannot be interpreted.");
+        let url = new URL(request.url, this.#contextPath);
+        let path = url.pathname.substring((this.#basePath + this.#pathPrefix + "/footprints").length);
+        if(path.length > 1) {
+            let pfId = decodeURIComponent(path.substring(1));
+            let footprint = this.#footprints.find(footprint => footprint.id == pfId);
+            if(footprint == null) {
+                this.handleNoSuchFootprintError(response, `The footprint [${pfId}] does not exist.`);
+                return;
+            }
+            this.handleJson(response, {data: footprint});
+            this.recordRetrieval([footprint]);
+            return;
         }
-        if(request.headers["content-type"] == null) {
-            throw new Error("Invalid request.");
-        }else if(!request.headers["content-type"].startsWith("application/cloudevents+json")) {
-            throw new Error("The Content-Type of the request is invalid.");
+
+        let footprints = this.#footprints;
+        if(majorVersion(this.#version) < 3) {
+            let filter = url.searchParams.get("$filter");
+            if(filter != null) {
+                // A malformed filter is thrown as an error, which results in BadRequest.
+                let expression = parseFilter(filter);
+                footprints = footprints.filter(footprint => matchesFilter(expression, footprint));
+            }
+        }else {
+            // Tech Spec ver 3 filters with the query parameters, each of which may be repeated.
+            let productIds = url.searchParams.getAll("productId");
+            let companyIds = url.searchParams.getAll("companyId");
+            let geographies = url.searchParams.getAll("geography");
+            footprints = footprints.filter(footprint => {
+                if(productIds.length > 0 && !productIds.some(productId => footprint.productIds.includes(productId))) return false;
+                if(companyIds.length > 0 && !companyIds.some(companyId => footprint.companyIds.includes(companyId))) return false;
+                if(geographies.length > 0 && (footprint.pcf == null || !geographies.includes(footprint.pcf.geographyCountry))) return false;
+                return true;
+            });
         }
-        if(requestBody.type == null) {
-            throw new Error("The type of the request is invalid.");
+
+        let limit = url.searchParams.get("limit");
+        if(limit == null) {
+            this.handleJson(response, {data: footprints});
+            this.recordRetrieval(footprints);
+            return;
         }
-        if(requestBody.type != "org.wbcsd.pathfinder.ProductFootprint.Published.v1" && 
-            requestBody.type != "org.wbcsd.pathfinder.ProductFootprintRequest.Created.v1" &&
-            requestBody.type != "org.wbcsd.pathfinder.ProductFootprintRequest.Fulfilled.v1"&&
-            requestBody.type != "org.wbcsd.pathfinder.ProductFootprintRequest.Rejected.v1"
-        ) {
-            throw new Error("The value of the type property is invalid.");
+        if(!/^[1-9][0-9]*$/.test(limit)) {
+            throw new Error(`The limit is invalid. ${limit}`);
         }
-        if(requestBody.id == null) {
-            throw new Error("The id of the request is invalid.");
+        let offset = url.searchParams.get("offset");
+        if(offset != null && !/^[0-9]+$/.test(offset)) {
+            throw new Error(`The offset is invalid. ${offset}`);
         }
-        if(requestBody.source == null) {
-            throw new Error("The source of the request is invalid.");
+        let start = offset != null ? Number(offset) : 0;
+        let end = start + Number(limit);
+        /** @type {Object<string, string>} */
+        let headers = {};
+        if(end < footprints.length) {
+            let next = new URL(url.pathname, this.#contextPath);
+            url.searchParams.forEach((value, key) => {
+                if(key != "offset") next.searchParams.append(key, value);
+            });
+            next.searchParams.set("offset", String(end));
+            headers["link"] = `<${next.toString()}>; rel="next"`;
+        }
+        this.handleJson(response, {data: footprints.slice(start, end)}, headers);
+        this.recordRetrieval(footprints.slice(start, end));
+    }
+
+    /**
+     * @param {Http.IncomingMessage} request 
+     * @param {Http.ServerResponse} response 
+     * @param {any} requestBody
+     * @returns {Promise<object>}
+     */
+    async handleEvents(request, response, requestBody) {
+
+        /** @type {Array<string>} */
+        let errors = [];
+        let contentType = request.headers["content-type"];
+        if(contentType == null || !contentType.startsWith("application/cloudevents+json")) {
+            errors.push(`The Content-Type of the request must be application/cloudevents+json. CONTENT-TYPE: ${contentType}`);
+        }
+        errors = errors.concat(validateCloudEvent(requestBody));
+        let events = eventTypes(this.#version);
+        if(requestBody != null && typeof requestBody == "object") {
+            if(typeof requestBody.type == "string" && !Object.values(events).includes(requestBody.type)) {
+                errors.push(`The type is not an event of the Tech Spec ${this.#version}. TYPE: ${requestBody.type}`);
+            }
+            if(typeof requestBody.id == "string" && typeof requestBody.source == "string") {
+                // CloudEvents identifies an event by the pair of the source and the id.
+                let key = requestBody.source + " " + requestBody.id;
+                if(this.#receivedEventIds.has(key)) {
+                    errors.push(`The id has already been used by another event from the same source. ID: ${requestBody.id}`);
+                }
+                this.#receivedEventIds.add(key);
+            }
+        }
+        if(errors.length > 0) {
+            throw new InvalidEventError(errors);
         }
 
         this.#logger.writeLog(`REQUEST: \n${JSON.stringify(requestBody, null, 4)}.`);
 
-        if(requestBody.type == "org.wbcsd.pathfinder.ProductFootprint.Published.v1") {
+        if(requestBody.type == events.published) {
+            let pfIds = requestBody.data.pfIds;
+            if(!Array.isArray(pfIds) || pfIds.length == 0 || pfIds.some(pfId => typeof pfId != "string")) {
+                throw new InvalidEventError([`The data.pfIds must be a non-empty array of the ids. PFIDS: ${JSON.stringify(pfIds)}`]);
+            }
             this.handleSuccess(response);
-        }else if(requestBody.type == "org.wbcsd.pathfinder.ProductFootprintRequest.Created.v1") {
+        }else if(requestBody.type == events.requestCreated) {
             let eventId = requestBody.id;
             let data = requestBody.data;
 
@@ -219,69 +570,33 @@ export class StubPathfinderServer extends EventEmitter {
                 throw new Error("The request body does not contain the data.");
             }
 
-            let fragment = data.pf;
-
-            if(fragment == null) {
-                throw new Error("The request body does not contain the data.pf.");
-            }
+            let fragment = this.requestFragment(data);
+            this.#receivedRequestIds.add(eventId);
             
             this.handleSuccess(response);
 
-            let host = new URL(this.#contextPath).hostname;
-
-            let authContextPath = this.#destinationServer.authContextPath;
-            let authPath = this.#destinationServer.authPath;
-            let userName = this.#destinationServer.userName;
-            let password = this.#destinationServer.password;
-            let dataContextPath = this.#destinationServer.dataContextPath;
-            let pathPrefex = this.#destinationServer.pathPrefex;
-
-            let _response;
-            _response = await HttpClient.request("post", authContextPath + authPath, {
-                host: host,
-                accept: "application/json",
-                "content-type": "application/x-www-form-urlencoded",
-                "authorization": "Basic " + Buffer.from(userName+":"+password).toString("base64")
-            }, {
-                grant_type: "client_credentials"
-            });
-            let accessToken;
-            if(_response.status == 200) {
-                accessToken = _response.body.access_token;
-            }
-            if(accessToken == null) {
-                throw new Error("Authentication error");
+            // Answered from the dataset like a PACT host, which rejects the request if it has none of the requested footprints.
+            let footprints = this.#footprints.filter(footprint => verifyFragment(footprint, fragment).length == 0);
+            let sentEvent;
+            if(footprints.length == 0) {
+                sentEvent = await this.sendRejectedEvent(eventId, "NoSuchFootprint", "None of the footprints matches the request.");
+            }else {
+                sentEvent = await this.sendEvent({
+                    type: events.requestFulfilled,
+                    specversion: "1.0",
+                    id: UUID(),
+                    source: this.#contextPath + this.#pathPrefix + "/events",
+                    time: formatToIso8601String(new Date(), true),
+                    data: {
+                        requestEventId: eventId,
+                        pfs: footprints
+                    }
+                });
             }
-            let footprint = this.generateFootprint();
-            Object.keys(fragment).forEach(key => {
-                footprint[key] = fragment[key];
-            });
-            _response = await HttpClient.request("post", dataContextPath + pathPrefex + "/events", {
-                host: host,
-                "content-type": "application/cloudevents+json; charset=UTF-8",
-                "authorization": "Bearer " + accessToken
-            }, {
-                type: "org.wbcsd.pathfinder.ProductFootprintRequest.Fulfilled.v1",
-                specversion: "1.0",
-                id: UUID(),
-                source: this.#contextPath + "/2/events",
-                data: {
-                    requestEventId: eventId,
-                    pfs: [footprint]
-                }
-            });
-            if(_response.status != 200) {
-                let responseBody;
-                if(_response.body instanceof Buffer) {
-                    responseBody = _response.body.toString("utf8");
-                }else if(typeof _response.body == "object") {
-                    responseBody = JSON.stringify(_response.body);
-                }else {
-                    responseBody = _response.body;
-                }
-                throw new Error(`An error was returned in response to a request to send footprints. STATUS: ${_response.status} BODY: ${responseBody}`);
+            if(sentEvent.status != 200) {
+                throw new Error(`An error was returned in response to a request to send footprints. STATUS: ${sentEvent.status} BODY: ${stringifyBody(sentEvent.response)}`);
             }
-        }else if(requestBody.type == "org.wbcsd.pathfinder.ProductFootprintRequest.Fulfilled.v1") {
+        }else if(requestBody.type == events.requestFulfilled) {
             let data = requestBody.data;
 
             if(data == null) {
@@ -294,15 +609,19 @@ export class StubPathfinderServer extends EventEmitter {
             if(eventId == null) {
                 throw new Error("The request body does not contain the data.requestEventId.");
             }
+
+            // The errors are recorded as the reply to the request before being returned.
+            /** @type {Array<string>} */
+            let errors = [];
             if(footprints == null) {
-                throw new Error("The request body does not contain the data.pfs.");
-            }
-            if(footprints.length == 0) {
-                throw new Error("The data.pfs in the request is empty.");
+                errors.push("The request body does not contain the data.pfs.");
+            }else if(!Array.isArray(footprints) || footprints.length == 0) {
+                errors.push("The data.pfs in the request is empty.");
             }
+            this.verifyReply(requestBody, eventId, "fulfilled", errors);
             
             this.handleSuccess(response);
-        }else if(requestBody.type == "org.wbcsd.pathfinder.ProductFootprintRequest.Rejected.v1") {
+        }else if(requestBody.type == events.requestRejected) {
             let data = requestBody.data;
 
             if(data == null) {
@@ -315,25 +634,448 @@ export class StubPathfinderServer extends EventEmitter {
             if(eventId == null) {
                 throw new Error("The request body does not contain the data.requestEventId.");
             }
+
+            // The errors are recorded as the reply to the request before being returned.
+            /** @type {Array<string>} */
+            let errors = [];
             if(error == null) {
-                throw new Error("The request body does not contain the data.error.");
+                errors.push("The request body does not contain the data.error.");
+            }else if(error.code == null || error.message == null) {
+                errors.push("The data.error is invalid.");
+            }else if(!EVENT_ERROR_CODES.includes(error.code)) {
+                errors.push(`The data.error.code is invalid. CODE: ${error.code}`);
+            }
+            if(this.#receivedRequestIds.has(eventId) && !this.#trackedRequests.has(eventId)) {
+                // The target rejects a request that it sent to the stub server.
+                if(errors.length > 0) {
+                    throw new InvalidEventError(errors);
+                }
+            }else {
+                this.verifyReply(requestBody, eventId, "rejected", errors);
             }
 
-            if(error.code == null || error.message == null) {
-                throw new Error("The data.error is invalid.");
+            this.handleSuccess(response);
+        }
+        return requestBody;
+    }
+
+    /**
+     * Extracts the requested properties of the footprints from the data of a ProductFootprintRequest Created event.
+     * @param {any} data 
+     * @returns {object}
+     */
+    requestFragment(data) {
+        /** @type {{productIds?: Array<string>, companyIds?: Array<string>}} */
+        let fragment;
+        if(majorVersion(this.#version) < 3) {
+            fragment = data.pf;
+            if(fragment == null) {
+                throw new Error("The request body does not contain the data.pf.");
+            }
+        }else {
+            // Tech Spec ver 3 requests the footprints with the same criteria as the query parameters of Action ListFootprints.
+            fragment = {};
+            if(data.productId != null) {
+                fragment.productIds = data.productId;
             }
-            if(error.code != "AccessDenied" && 
-                error.code != "BadRequest" && 
-                error.code != "NoSuchFootprint" && 
-                error.code != "NotImplemented" && 
-                error.code != "TokenExpired" && 
-                error.code != "InternalError") {
-                throw new Error("The data.error is invalid.");
+            if(data.companyId != null) {
+                fragment.companyIds = data.companyId;
             }
+        }
+        return fragment;
+    }
+
+    /**
+     * Registers a ProductFootprintRequest Created event sent to the target, so that the reply of the target can be verified.
+     * The request times out if the target does not reply within the reply timeout.
+     * @param {any} event 
+     * @returns {TrackedRequest}
+     */
+    trackRequest(event) {
+        /** @type {TrackedRequest} */
+        let trackedRequest = {
+            eventId: event.id,
+            fragment: this.requestFragment(event.data),
+            sentAt: formatToIso8601String(new Date(), true),
+            status: "pending",
+            errors: []
+        };
+        this.#trackedRequests.set(event.id, trackedRequest);
+        setTimeout(() => {
+            if(trackedRequest.status != "pending") return;
+            trackedRequest.status = "timeout";
+            trackedRequest.errors.push(`The target did not reply to the request [${trackedRequest.eventId}] within ${this.#replyTimeout/1000} seconds.`);
+            this.emit("reply", trackedRequest);
+        }, this.#replyTimeout).unref();
+        return trackedRequest;
+    }
+
+    /**
+     * @param {string} eventId Id of the ProductFootprintRequest Created event
+     * @returns {Promise<TrackedRequest>} Resolved when the target replies or the request times out
+     */
+    async waitForReply(eventId) {
+        let trackedRequest = this.#trackedRequests.get(eventId);
+        if(trackedRequest == null) {
+            throw new Error(`The request [${eventId}] is not tracked.`);
+        }
+        if(trackedRequest.status != "pending") {
+            return trackedRequest;
+        }
+        return new Promise(resolve => {
+            /**
+             * @param {TrackedRequest} repliedRequest 
+             */
+            let listener = repliedRequest => {
+                if(repliedRequest.eventId != eventId) return;
+                this.off("reply", listener);
+                resolve(repliedRequest);
+            };
+            this.on("reply", listener);
+        });
+    }
+
+    /**
+     * Matches a Fulfilled or Rejected event of the target with the request sent by the testbed.
+     * @param {any} event 
+     * @param {string} requestEventId 
+     * @param {"fulfilled"|"rejected"} status
+     * @param {Array<string>} errors Errors found in the data of the event
+     */
+    verifyReply(event, requestEventId, status, errors) {
+        let trackedRequest = this.#trackedRequests.get(requestEventId);
+        if(trackedRequest == null) {
+            throw new Error(`The data.requestEventId [${requestEventId}] does not refer to a request sent by the testbed.`);
+        }
+        if(trackedRequest.status == "fulfilled" || trackedRequest.status == "rejected") {
+            throw new Error(`The request [${requestEventId}] has already been replied.`);
+        }
+        let timedOut = trackedRequest.status == "timeout";
+        trackedRequest.reply = event;
+        trackedRequest.repliedAt = formatToIso8601String(new Date(), true);
+        if(status == "fulfilled" && Array.isArray(event.data.pfs)) {
+            event.data.pfs.forEach(footprint => {
+                errors = errors.concat(verifyFragment(footprint, trackedRequest.fragment));
+            });
+        }
+        if(timedOut) {
+            // The timeout has already been reported to those waiting for the reply.
+            trackedRequest.errors = trackedRequest.errors.concat(errors);
+            throw new Error(`The reply to the request [${requestEventId}] arrived after the timeout of ${this.#replyTimeout/1000} seconds.`);
+        }
+        trackedRequest.status = status;
+        trackedRequest.errors = errors;
+        this.emit("reply", trackedRequest);
+        if(errors.length > 0) {
+            throw new InvalidEventError(errors);
+        }
+    }
+
+    /**
+     * @param {Array<any>} footprints Footprints served to the target
+     */
+    recordRetrieval(footprints) {
+        let now = new Date().getTime();
+        footprints.forEach(footprint => {
+            this.#retrievedFootprints.set(footprint.id, now);
+        });
+        this.emit("retrieval");
+    }
 
+    /**
+     * Waits for the target to retrieve the footprints, as the receiver of ProductFootprint Published event is expected to do.
+     * @param {Array<string>} pfIds 
+     * @param {number} since Milliseconds since the epoch, before which the retrievals are not counted
+     * @returns {Promise<FootprintRetrieval>} Resolved when all the footprints are retrieved or the reply timeout has passed since the time
+     */
+    async waitForRetrieval(pfIds, since) {
+        /**
+         * @param {boolean} completed 
+         * @returns {FootprintRetrieval}
+         */
+        let retrieval = completed => ({
+            authenticated: this.#authenticatedAt != null && this.#authenticatedAt >= since,
+            retrievedIds: pfIds.filter(pfId => {
+                let retrievedAt = this.#retrievedFootprints.get(pfId);
+                return retrievedAt != null && retrievedAt >= since;
+            }),
+            completed: completed
+        });
+        if(retrieval(false).retrievedIds.length == pfIds.length) {
+            return retrieval(true);
+        }
+        return new Promise(resolve => {
+            let listener = () => {
+                if(retrieval(false).retrievedIds.length < pfIds.length) return;
+                this.off("retrieval", listener);
+                clearTimeout(timer);
+                resolve(retrieval(true));
+            };
+            let timer = setTimeout(() => {
+                this.off("retrieval", listener);
+                resolve(retrieval(false));
+            }, Math.max(since + this.#replyTimeout - new Date().getTime(), 0));
+            this.on("retrieval", listener);
+        });
+    }
+
+    /**
+     * @returns {Array<TrackedRequest>}
+     */
+    get trackedRequests() {
+        return Array.from(this.#trackedRequests.values());
+    }
+
+    /**
+     * @param {Http.IncomingMessage} request 
+     * @returns {boolean} Whether the request has the admin token in the authorization header
+     */
+    verifyAdminToken(request) {
+        let authorization = request.headers.authorization;
+        if(authorization == null || !authorization.startsWith("Bearer ") || this.#adminToken == null) {
+            return false;
+        }
+        let token = Buffer.from(authorization.substring("Bearer ".length).trim(), "utf8");
+        let adminToken = Buffer.from(this.#adminToken, "utf8");
+        return token.length == adminToken.length && timingSafeEqual(token, adminToken);
+    }
+
+    /**
+     * Control API to exchange the events with the target on demand.
+     * @param {Http.IncomingMessage} request 
+     * @param {Http.ServerResponse} response 
+     * @param {string} path Path without the context path and the query
+     */
+    async handleAdmin(request, response, path) {
+        let method = request.method != null ? request.method.toLowerCase() : "";
+        if(path == "/admin/events") {
+            if(method != "get") {
+                this.handleMethodNotAllowedError(response, ["GET"]);
+                return;
+            }
+            this.handleJson(response, {received: this.#receivedEvents, sent: this.#sentEvents});
+            return;
+        }
+        if(path == "/admin/reset") {
+            if(method != "post") {
+                this.handleMethodNotAllowedError(response, ["POST"]);
+                return;
+            }
+            this.reset();
             this.handleSuccess(response);
+            return;
         }
-        return requestBody;
+        if(!["/admin/events/published", "/admin/events/request-created", "/admin/events/rejected"].includes(path)) {
+            this.handleNotFoundError(response);
+            return;
+        }
+        if(method != "post") {
+            this.handleMethodNotAllowedError(response, ["POST"]);
+            return;
+        }
+        if(!eventsDefined(this.#version)) {
+            this.handleBadRequestError(response, `Action Events is not defined in the version ${this.#version}.`);
+            return;
+        }
+        let requestBody = await this.retrieveRequest(request);
+        if(requestBody == null) {
+            requestBody = {};
+        }else if(typeof requestBody != "object") {
+            this.handleBadRequestError(response, "The request body must be JSON.");
+            return;
+        }
+        let sentEvent;
+        if(path == "/admin/events/published") {
+            sentEvent = await this.sendPublishedEvent(requestBody.pfIds != null ? requestBody.pfIds : this.#footprints.slice(0, 1).map(footprint => footprint.id));
+        }else if(path == "/admin/events/request-created") {
+            sentEvent = await this.sendRequestCreatedEvent({
+                productIds: requestBody.productIds,
+                companyIds: requestBody.companyIds
+            }, requestBody.comment);
+        }else {
+            if(requestBody.requestEventId == null) {
+                this.handleBadRequestError(response, "The requestEventId is not specified.");
+                return;
+            }
+            sentEvent = await this.sendRejectedEvent(requestBody.requestEventId, requestBody.code != null ? requestBody.code : "NoSuchFootprint", requestBody.message != null ? requestBody.message : "The requested footprints were not found.");
+        }
+        this.handleJson(response, sentEvent);
+    }
+
+    /**
+     * @param {Array<string>} pfIds 
+     * @returns {Promise<SentEvent>}
+     */
+    async sendPublishedEvent(pfIds) {
+        return this.sendEvent({
+            type: eventTypes(this.#version).published,
+            specversion: "1.0",
+            id: UUID(),
+            source: this.#contextPath + this.#pathPrefix + "/events",
+            time: formatToIso8601String(new Date(), true),
+            data: {
+                pfIds: pfIds
+            }
+        });
+    }
+
+    /**
+     * @param {{productIds?: Array<string>, companyIds?: Array<string>}} fragment Criteria of the requested footprints
+     * @param {string} [comment]
+     * @returns {Promise<SentEvent>}
+     */
+    async sendRequestCreatedEvent(fragment, comment) {
+        // The footprints of the dataset are requested by default.
+        let footprint = this.#footprints.length > 0 ? this.#footprints[0] : {productIds: ["urn:uuid:"+UUID()], companyIds: ["urn:uuid:"+UUID()]};
+        let productIds = fragment.productIds != null ? fragment.productIds : footprint.productIds;
+        let companyIds = fragment.companyIds != null ? fragment.companyIds : footprint.companyIds;
+        let data;
+        if(majorVersion(this.#version) < 3) {
+            data = {
+                pf: {
+                    productIds: productIds,
+                    companyIds: companyIds
+                },
+                comment: comment != null ? comment : "Please send PCF data for this year."
+            };
+        }else {
+            data = {
+                productId: productIds,
+                companyId: companyIds,
+                comment: comment != null ? comment : "Please send PCF data for this year."
+            };
+        }
+        let event = {
+            type: eventTypes(this.#version).requestCreated,
+            specversion: "1.0",
+            id: UUID(),
+            source: this.#contextPath + this.#pathPrefix + "/events",
+            time: formatToIso8601String(new Date(), true),
+            data: data
+        };
+        // Tracked before sending, because the target may reply before responding.
+        this.trackRequest(event);
+        return this.sendEvent(event);
+    }
+
+    /**
+     * @param {string} requestEventId 
+     * @param {string} code 
+     * @param {string} message 
+     * @returns {Promise<SentEvent>}
+     */
+    async sendRejectedEvent(requestEventId, code, message) {
+        return this.sendEvent({
+            type: eventTypes(this.#version).requestRejected,
+            specversion: "1.0",
+            id: UUID(),
+            source: this.#contextPath + this.#pathPrefix + "/events",
+            time: formatToIso8601String(new Date(), true),
+            data: {
+                requestEventId: requestEventId,
+                error: {
+                    code: code,
+                    message: message
+                }
+            }
+        });
+    }
+
+    /**
+     * Sends the event to Action Events of the target with a new access token.
+     * @param {object} event 
+     * @returns {Promise<SentEvent>}
+     */
+    async sendEvent(event) {
+        let dataContextPath = this.#destinationServer.dataContextPath;
+        let pathPrefex = this.#destinationServer.pathPrefex;
+        let accessToken = await this.requestAccessToken();
+        let response = await HttpClient.request("post", dataContextPath + pathPrefex + "/events", {
+            host: new URL(dataContextPath).hostname,
+            "content-type": "application/cloudevents+json; charset=UTF-8",
+            "authorization": "Bearer " + accessToken
+        }, event);
+        /** @type {SentEvent} */
+        let sentEvent = {
+            sentAt: formatToIso8601String(new Date(), true),
+            event: event,
+            status: response.status,
+            response: response.body instanceof Buffer ? response.body.toString("utf8") : response.body
+        };
+        this.#sentEvents.push(sentEvent);
+        this.#logger.writeLog(`The stub server sent an event.\nREQUEST:\n${JSON.stringify(event, null, 4)}\nSTATUS: ${response.status}`);
+        return sentEvent;
+    }
+
+    /**
+     * @returns {Promise<string>}
+     */
+    async requestAccessToken() {
+        let authContextPath = this.#destinationServer.authContextPath;
+        let authPath = this.#destinationServer.authPath;
+        let userName = this.#destinationServer.userName;
+        let password = this.#destinationServer.password;
+
+        let tokenRequest = createTokenRequest(authContextPath + authPath, userName, password, this.#destinationServer.authentication);
+        let response = await HttpClient.request("post", tokenRequest.url, {
+            host: new URL(tokenRequest.url).hostname,
+            ...tokenRequest.headers
+        }, tokenRequest.body);
+        let accessToken;
+        if(response.status == 200) {
+            accessToken = response.body.access_token;
+        }
+        if(accessToken == null) {
+            throw new Error("Authentication error");
+        }
+        return accessToken;
+    }
+
+    /**
+     * @param {any} event 
+     * @param {Array<string>} [errors] Errors found while handling the event
+     */
+    recordReceivedEvent(event, errors) {
+        errors = errors != null ? errors : [];
+        if(this.#eventValidator != null && event != null && typeof event == "object") {
+            try {
+                errors = errors.concat(this.#eventValidator(event));
+            }catch(error) {
+                errors.push(`The event could not be validated. ${error.message}`);
+            }
+        }
+        this.#receivedEvents.push({
+            receivedAt: formatToIso8601String(new Date(), true),
+            event: event,
+            errors: errors
+        });
+    }
+
+    /**
+     * @returns {Array<ReceivedEvent>}
+     */
+    get receivedEvents() {
+        return this.#receivedEvents;
+    }
+
+    /**
+     * @returns {Array<SentEvent>}
+     */
+    get sentEvents() {
+        return this.#sentEvents;
+    }
+
+    /**
+     * Forgets the received and sent events.
+     */
+    reset() {
+        this.#receivedEvents = [];
+        this.#sentEvents = [];
+        this.#trackedRequests.clear();
+        this.#receivedEventIds.clear();
+        this.#receivedRequestIds.clear();
+        this.#retrievedFootprints.clear();
+        this.#authenticatedAt = undefined;
     }
 
     /**
@@ -349,11 +1091,13 @@ export class StubPathfinderServer extends EventEmitter {
     /**
      * @param {Http.ServerResponse} response 
      * @param {object} responseBody
+     * @param {Object<string, string>} [headers]
      */
-    handleJson(response, responseBody) {
+    handleJson(response, responseBody, headers) {
         this.#logger.writeLog(`The stub server returned a success response.\nRESPONSE:\n${JSON.stringify(responseBody, null, 4)}`);
         responseBody = JSON.stringify(responseBody); 
         response.writeHead(200, {
+            ...headers,
             "content-type": "application/json",
             "content-length": Buffer.byteLength(responseBody, "utf8")
         });
@@ -395,6 +1139,42 @@ export class StubPathfinderServer extends EventEmitter {
         response.end();
     }
 
+    /**
+     * @param {Http.ServerResponse} response 
+     * @param {Array<string>} methods Allowed methods
+     */
+    handleMethodNotAllowedError(response, methods) {
+        let responseBody = "Method Not Allowed";
+        this.#logger.writeLog(`The stub server returned an error response.\nRESPONSE:\n${responseBody}`);
+        response.writeHead(405, {
+            "allow": methods.join(", "),
+            "content-type": "text/plain",
+            "content-length": Buffer.byteLength(responseBody, "utf8")
+        });
+        response.write(responseBody);
+        response.end();
+    }
+
+    /**
+     * @param {Http.ServerResponse} response 
+     * @param {string} message
+     */
+    handleNoSuchFootprintError(response, message) {
+        /** @type {object|string} */
+        let responseBody = {
+            code: "NoSuchFootprint",
+            message: message
+        };
+        this.#logger.writeLog(`The stub server returned an error response.\nRESPONSE:\n${JSON.stringify(responseBody, null, 4)}`);
+        responseBody = JSON.stringify(responseBody);
+        response.writeHead(404, {
+            "content-type": "application/json",
+            "content-length": Buffer.byteLength(responseBody, "utf8")
+        });
+        response.write(responseBody);
+        response.end();
+    }
+
     /**
      * @param {Http.ServerResponse} response 
      * @param {string} message
@@ -450,6 +1230,33 @@ export class StubPathfinderServer extends EventEmitter {
         response.end();
     }
 
+    /**
+     * Returns an error response of RFC 6749 section 5.2.
+     * @param {Http.ServerResponse} response 
+     * @param {OAuthError} error
+     */
+    handleOAuthError(response, error) {
+        /** @type {object|string} */
+        let responseBody = {
+            error: error.error,
+            error_description: error.message
+        };
+        this.#logger.writeLog(`The stub server returned an error response.\nRESPONSE:\n${JSON.stringify(responseBody, null, 4)}`);
+        responseBody = JSON.stringify(responseBody);
+        /** @type {Http.OutgoingHttpHeaders} */
+        let headers = {
+            "content-type": "application/json",
+            "content-length": Buffer.byteLength(responseBody, "utf8"),
+            "cache-control": "no-store"
+        };
+        if(error.status == 401) {
+            headers["www-authenticate"] = "Basic";
+        }
+        response.writeHead(error.status, headers);
+        response.write(responseBody);
+        response.end();
+    }
+
     /**
      * @param {Http.ServerResponse} response 
      * @param {string} message
@@ -493,10 +1300,15 @@ export class StubPathfinderServer extends EventEmitter {
                 if(requestBody != null && request.headers["content-type"] != null) {
                     let contentType = request.headers["content-type"];
                     if(contentType.startsWith("application/json") || contentType.startsWith("application/cloudevents+json")) {
-                        if(requestBody instanceof Buffer) {
-                            requestBody = JSON.parse(requestBody.toString("utf8"));
-                        }else if(typeof requestBody == "string") {
-                            requestBody = JSON.parse(requestBody);
+                        try {
+                            if(requestBody instanceof Buffer) {
+                                requestBody = JSON.parse(requestBody.toString("utf8"));
+                            }else if(typeof requestBody == "string") {
+                                requestBody = JSON.parse(requestBody);
+                            }
+                        }catch(error) {
+                            reject(new Error(`The request body is not valid JSON. ${error.message}`));
+                            return;
                         }
                     }
                 }
@@ -521,73 +1333,78 @@ export class StubPathfinderServer extends EventEmitter {
             iss: now,
             exp: now + 60*60
         };
-        let token = Buffer.from(JSON.stringify(header)).toString("base64").replace(/=+$/, "")+"."+Buffer.from(JSON.stringify(claim)).toString("base64").replace(/=+$/, "");
-        return token+"."+createHmac("sha256", SECRET).update(token).digest("base64").replace(/=+$/, "");
+        return encodeJwt(header, claim, SECRET);
     }
 
     /**
      * @param {string} token 
      */
     verifyJwtToken(token) {
-        let elements = token.split(".");
-        if(elements.length != 3) {
-            throw new Error("Invalid token");
-        }
-        let header = JSON.parse(Buffer.from(elements[0], "base64").toString());
-        let claim = JSON.parse(Buffer.from(elements[1], "base64").toString());
-        let certificate = elements[2];
-        if(header.typ != "JWT" || header.alg != "HS256") {
-            throw new Error("Invalid token");
-        }
-        if(typeof claim.iss != "number" || typeof claim.exp != "number") {
-            throw new Error("Invalid token");
-        }
-        if(claim.exp < new Date().getTime()/1000) {
-            throw new Error("Invalid token");
+        verifyJwt(token, SECRET);
+    }
+
+    /**
+     * @returns {Array<any>} Footprints served by Action ListFootprints and Action GetFootprint
+     */
+    get footprints() {
+        return this.#footprints;
+    }
+}
+
+/**
+ * @param {any} footprint 
+ * @param {object} fragment 
+ * @returns {Array<string>} Properties of the footprint that do not match the requested fragment
+ */
+function verifyFragment(footprint, fragment) {
+    /** @type {Array<string>} */
+    let errors = [];
+    Object.keys(fragment).forEach(key => {
+        let expected = fragment[key];
+        let actual = footprint != null ? footprint[key] : undefined;
+        let matched;
+        if(Array.isArray(expected)) {
+            // Identifiers match if any of the requested ones is contained.
+            matched = Array.isArray(actual) && expected.some(value => actual.includes(value));
+        }else {
+            matched = JSON.stringify(actual) == JSON.stringify(expected);
         }
-        let _token = Buffer.from(JSON.stringify(header)).toString("base64").replace(/=+$/, "")+"."+Buffer.from(JSON.stringify(claim)).toString("base64").replace(/=+$/, "");
-        let _certificate = createHmac("sha256", SECRET).update(_token).digest("base64").replace(/=+$/, "");
-        if(_certificate != certificate) {
-            throw new Error("Invalid token");
+        if(!matched) {
+            errors.push(`The ${key} of the footprint [${footprint != null ? footprint.id : ""}] does not match the request. REQUESTED: ${JSON.stringify(expected)} ACTUAL: ${JSON.stringify(actual)}`);
         }
+    });
+    return errors;
+}
+
+/**
+ * @param {any} body 
+ * @returns {string}
+ */
+function stringifyBody(body) {
+    if(body instanceof Buffer) {
+        return body.toString("utf8");
+    }else if(typeof body == "object") {
+        return JSON.stringify(body);
     }
+    return body;
+}
+
+class OAuthError extends Error {
+
+    /** @type {number} */
+    status;
+
+    /** @type {string} */
+    error;
 
     /**
-     * @param {string} [pfId] 
-     * @returns {object}
+     * @param {number} status
+     * @param {string} error Error code of RFC 6749 section 5.2
+     * @param {string} message
      */
-    generateFootprint(pfId) {
-        return {
-            id: pfId == null ? (this.#data != null && this.#data.id != null ? this.#data.id : UUID()) : pfId,
-            specVersion: "2.2.0",
-            version: 0,
-            created: formatToIso8601String(new Date(), true),
-            status: "Active",
-            companyName: "Demo Company",
-            companyIds: (this.#data != null && this.#data.companyIds != null ? this.#data.companyIds : ["urn:uuid:"+UUID()]),
-            productDescription: "Demo Product",
-            productIds: (this.#data != null && this.#data.productIds != null ? this.#data.productIds : ["urn:uuid:"+UUID()]),
-            productCategoryCpc: "49",
-            productNameCompany: "Demo Product",
-            comment: "",
-            pcf: {
-                declaredUnit: "kilogram",
-                unitaryProductAmount: 100,
-                pCfExcludingBiogenic: 3.241,
-                fossilGhgEmissions: 2.982,
-                fossilCarbonContent: 0.813,
-                biogenicCarbonContent: 0,
-                characterizationFactors: "AR6",
-                ipccCharacterizationFactorsSources: ["AR6"],
-                crossSectoralStandardsUsed: ["GHG Protocol Product standard"],
-                boundaryProcessesDescription: "",
-                referencePeriodStart: formatToIso8601String(new Date(new Date().getTime()-1000*60*60*24*30), true),
-                referencePeriodEnd : formatToIso8601String(new Date(new Date().getTime()-1000*60*60*24*20), true),
-                geographyCountry: "FR",
-                exemptedEmissionsPercent: 0,
-                exemptedEmissionsDescription: "",
-                packagingEmissionsIncluded: false
-            }
-        };
+    constructor(status, error, message) {
+        super(message);
+        this.status = status;
+        this.error = error;
     }
 }
\ No newline at end of file
@@ -0,0 +1,464 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+import querystring from "node:querystring";
+import { Http } from "./http.js";
+import { LogLevel } from "./logger.js";
+import { evaluateExpression } from "./expression.js";
+
+/**
+ * @typedef {object} TestCase
+ * @property {string} id Identifier that does not change with the title, used to select the test cases
+ * @property {string} title
+ * @property {Array<string>} [tags] Groups of the test case, such as auth, list, get, filter, events and negative
+ * @property {boolean} [mandatory] Whether the conformance depends on the test case passing, true by default
+ * @property {string} [contextPath]
+ * @property {Array<TestSequence>} [sequence] Declarative steps in the lupinus test set format
+ * @property {TestProcedure} [procedure] Steps written in code, used when the expectations cannot be expressed declaratively
+ */
+
+/**
+ * @typedef {object} TestSequence
+ * @property {string} path
+ * @property {"get"|"post"|"patch"|"put"|"delete"|"option"|"head"} method
+ * @property {{headers?: object, body?: any}} [request]
+ * @property {import("./report.js").TestExpectation} [response]
+ */
+
+/**
+ * @typedef {object} TestSelection
+ * @property {Array<string>} [include] Patterns of the ids or tags to run, all test cases if omitted
+ * @property {Array<string>} [exclude] Patterns of the ids or tags not to run, which take precedence over include
+ */
+
+/**
+ * @callback TestProcedure
+ * @param {TestContext} context
+ * @returns {Promise<void>}
+ */
+
+export class TestContext {
+
+    /** @type {Array<import("./report.js").TestStepResult>} */
+    steps = [];
+
+    /** @type {Array<string>} */
+    failures = [];
+
+    /** @type {string|undefined} */
+    skipReason;
+
+    /** @type {boolean} */
+    timedOut = false;
+
+    /** @type {boolean} */
+    #verboseLog;
+
+    /** @type {import("./logger.js").Logger} */
+    #logger;
+
+    /**
+     * @param {import("./logger.js").Logger} logger
+     * @param {boolean} verboseLog
+     */
+    constructor(logger, verboseLog) {
+        this.#logger = logger;
+        this.#verboseLog = verboseLog;
+    }
+
+    /**
+     * Sends a request and records it with the response as a step of the test case.
+     * @param {"get"|"post"|"patch"|"put"|"delete"|"option"|"head"} method
+     * @param {string} url
+     * @param {object} [headers]
+     * @param {any} [body]
+     * @param {import("./report.js").TestExpectation} [expected]
+     * @returns {Promise<import("./http.js").HttpResponse>}
+     */
+    async request(method, url, headers, body, expected) {
+        /** @type {import("node:http").IncomingHttpHeaders} */
+        let requestHeaders = {};
+        if(headers != null) {
+            Object.keys(headers).forEach(key => {
+                if(headers[key] != null) {
+                    requestHeaders[key] = headers[key];
+                }
+            });
+        }
+        if(this.#verboseLog) {
+            this.#logger.writeLog(`${method} ${url}`);
+            this.#logger.writeLog(`REQUEST:`);
+            this.#logger.writeLog(JSON.stringify(requestHeaders));
+            if(body != null) {
+                this.#logger.writeLog(JSON.stringify(body));
+            }
+        }
+        /** @type {import("./report.js").TestStepResult} */
+        let step = {
+            request: {
+                method: method,
+                url: url,
+                headers: maskHeaders(requestHeaders),
+                body: maskBody(body, ["client_secret", "client_assertion"])
+            },
+            expected: expected,
+            duration: 0
+        };
+        this.steps.push(step);
+        let startTime = Date.now();
+        let response;
+        try {
+            response = await Http.request(method, url, {...requestHeaders}, body);
+        }finally {
+            step.duration = Date.now() - startTime;
+        }
+        response.body = normalizeBody(response.body);
+        step.actual = {
+            status: response.status,
+            headers: response.headers,
+            body: maskBody(response.body, ["access_token", "refresh_token", "id_token"])
+        };
+        if(this.#verboseLog) {
+            this.#logger.writeLog(`RESPONSE:`);
+            this.#logger.writeLog(`Status: ${response.status}`);
+            this.#logger.writeLog(JSON.stringify(response.headers));
+            this.#logger.writeLog(typeof response.body == "string" ? response.body : JSON.stringify(response.body));
+        }
+        if(expected != null) {
+            this.verify(response, expected);
+        }
+        return response;
+    }
+
+    /**
+     * @param {import("./http.js").HttpResponse} response
+     * @param {import("./report.js").TestExpectation} expected
+     * @returns {boolean}
+     */
+    verify(response, expected) {
+        let failureCount = this.failures.length;
+        if(expected.status != null) {
+            let statuses = Array.isArray(expected.status) ? expected.status : [expected.status];
+            if(response.status == null || !statuses.includes(response.status)) {
+                this.fail(`The status code was expected to be ${statuses.join(" or ")}, but was ${response.status}.`);
+            }
+        }
+        if(expected.headers != null) {
+            let expressions = Array.isArray(expected.headers) ? expected.headers : [expected.headers];
+            expressions.forEach(expression => {
+                this.assertExpression(expression, response.headers, "headers");
+            });
+        }
+        if(expected.body != null) {
+            let expressions = Array.isArray(expected.body) ? expected.body : [expected.body];
+            expressions.forEach(expression => {
+                this.assertExpression(expression, response.body, "body");
+            });
+        }
+        return this.failures.length == failureCount;
+    }
+
+    /**
+     * @param {string} expression
+     * @param {any} target
+     * @param {string} targetName
+     */
+    assertExpression(expression, target, targetName) {
+        try {
+            if(!evaluateExpression(expression, target)) {
+                this.fail(`The response ${targetName} does not satisfy ${expression}.`);
+            }
+        }catch(error) {
+            this.fail(`The response ${targetName} could not be evaluated with ${expression}. ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {string} message
+     */
+    fail(message) {
+        this.failures.push(message);
+    }
+
+    /**
+     * Fails the test case because the target did not reply in time.
+     * @param {string} message
+     */
+    timeout(message) {
+        this.timedOut = true;
+        this.failures.push(message);
+    }
+
+    /**
+     * Marks the test case as not applicable to the target.
+     * @param {string} reason
+     */
+    skip(reason) {
+        this.skipReason = reason;
+    }
+}
+
+export class TestRunner {
+
+    /** @type {import("./logger.js").Logger} */
+    #logger;
+
+    /** @type {boolean} */
+    #verboseLog;
+
+    /** @type {import("./report.js").ConformanceReport} */
+    #report;
+
+    /** @type {object|undefined} */
+    #spec;
+
+    /** @type {any} */
+    #schemaValidator;
+
+    /**
+     * @param {import("./logger.js").Logger} logger
+     * @param {import("./report.js").ConformanceReport} report
+     * @param {boolean} verboseLog
+     * @param {object} [spec] OpenAPI specification used to validate the response bodies of declarative test cases
+     * @param {any} [schemaValidator] lupinus Validator holding the specification
+     */
+    constructor(logger, report, verboseLog, spec, schemaValidator) {
+        this.#logger = logger;
+        this.#report = report;
+        this.#verboseLog = verboseLog;
+        this.#spec = spec;
+        this.#schemaValidator = schemaValidator;
+    }
+
+    /**
+     * @param {TestCase} testCase
+     * @returns {Promise<import("./report.js").TestResult>}
+     */
+    async run(testCase) {
+        this.#logger.writeLog(`Test [${testCase.title}] is started.`);
+        let context = new TestContext(this.#logger, this.#verboseLog);
+        let startTime = Date.now();
+        try {
+            if(testCase.procedure != null) {
+                await testCase.procedure(context);
+            }else if(testCase.sequence != null) {
+                for(let sequence of testCase.sequence) {
+                    await this.#runSequence(context, testCase.contextPath != null ? testCase.contextPath : "", sequence);
+                    if(context.failures.length > 0) break;
+                }
+            }
+        }catch(error) {
+            context.fail(error.message);
+            this.#logger.writeLog(error.stack, LogLevel.debug);
+        }
+        /** @type {import("./report.js").TestResult} */
+        let result = {
+            id: testCase.id,
+            title: testCase.title,
+            tags: testCaseTags(testCase),
+            status: context.failures.length > 0 ? (context.timedOut ? "timeout" : "failed") : (context.skipReason != null ? "skipped" : "passed"),
+            mandatory: testCase.mandatory !== false,
+            duration: Date.now() - startTime,
+            steps: context.steps,
+            failures: context.failures
+        };
+        if(result.status == "skipped") {
+            result.skipReason = context.skipReason;
+        }
+        this.#report.add(result);
+        if(result.status == "skipped") {
+            this.#logger.writeLog(`\u001b[33mSKIP\u001b[0m ${testCase.title}: ${context.skipReason}`);
+        }else if(result.status == "passed") {
+            this.#logger.writeLog(`\u001b[32mPASS\u001b[0m ${testCase.title}`);
+        }else {
+            let label = result.status == "timeout" ? "TIMEOUT" : "NG";
+            result.failures.forEach(failure => {
+                this.#logger.writeLog(`\u001b[31m${label}\u001b[0m ${testCase.title}: ${failure}`);
+            });
+        }
+        return result;
+    }
+
+    /**
+     * @param {TestCase} testCase
+     * @param {string} reason
+     * @returns {import("./report.js").TestResult}
+     */
+    skip(testCase, reason) {
+        /** @type {import("./report.js").TestResult} */
+        let result = {
+            id: testCase.id,
+            title: testCase.title,
+            tags: testCaseTags(testCase),
+            status: "skipped",
+            mandatory: testCase.mandatory !== false,
+            duration: 0,
+            steps: [],
+            failures: [],
+            skipReason: reason
+        };
+        this.#report.add(result);
+        this.#logger.writeLog(`\u001b[33mSKIP\u001b[0m ${testCase.title}: ${reason}`);
+        return result;
+    }
+
+    /**
+     * @param {TestContext} context
+     * @param {string} contextPath
+     * @param {TestSequence} sequence
+     */
+    async #runSequence(context, contextPath, sequence) {
+        let path = sequence.path;
+        let method = sequence.method;
+        let headers = sequence.request != null ? sequence.request.headers : undefined;
+        let body = sequence.request != null ? sequence.request.body : undefined;
+
+        // Like lupinus, the body properties fill the path parameters, and become the query string for requests without a body.
+        let query;
+        if(body != null && typeof body == "object") {
+            let _body = {};
+            Object.keys(body).forEach(key => {
+                if(path.includes(`{${key}}`)) {
+                    path = path.replace(`{${key}}`, encodeURIComponent(body[key]));
+                }else {
+                    _body[key] = body[key];
+                }
+            });
+            body = _body;
+            if(method == "get" || method == "delete" || method == "head" || method == "option") {
+                query = Object.keys(body).length > 0 ? querystring.stringify(body) : undefined;
+                body = undefined;
+            }
+        }
+        let url = contextPath + path + (query != null ? "?" + query : "");
+        let response = await context.request(method, url, headers, body, sequence.response);
+        if(context.failures.length == 0 && sequence.response != null && sequence.response.status != null) {
+            this.#validateResponseSchema(context, sequence, response);
+        }
+    }
+
+    /**
+     * @param {TestContext} context
+     * @param {TestSequence} sequence
+     * @param {import("./http.js").HttpResponse} response
+     */
+    #validateResponseSchema(context, sequence, response) {
+        if(this.#spec == null || this.#schemaValidator == null) return;
+        let paths = /** @type {any} */(this.#spec).paths;
+        if(paths == null || paths[sequence.path] == null) return;
+        let operation = paths[sequence.path][sequence.method];
+        if(operation == null || operation.responses == null) return;
+        let responseSpec = operation.responses[String(response.status)];
+        if(responseSpec == null) return;
+        if(responseSpec.$ref != null) {
+            responseSpec = this.#schemaValidator.getComponent(responseSpec.$ref);
+        }
+        if(responseSpec == null || responseSpec.content == null) return;
+        let contentType = Object.keys(responseSpec.content).find(contentType => contentType.startsWith("application/json"));
+        if(contentType == null || responseSpec.content[contentType].schema == null) return;
+        let schema = responseSpec.content[contentType].schema;
+        if(schema.$ref != null) {
+            schema = this.#schemaValidator.getComponent(schema.$ref);
+        }
+        if(schema == null || response.body == null || typeof response.body != "object") return;
+        try {
+            this.#schemaValidator.validateJson(response.body, schema);
+        }catch(error) {
+            if(error instanceof AggregateError) {
+                error.errors.forEach(error => {
+                    context.fail(error.message);
+                });
+            }else {
+                context.fail(error.message);
+            }
+        }
+    }
+}
+
+/**
+ * @param {TestCase} testCase
+ * @returns {Array<string>} Tags of the test case, including mandatory or optional
+ */
+export function testCaseTags(testCase) {
+    let tags = testCase.tags != null ? testCase.tags : [];
+    return tags.concat(testCase.mandatory !== false ? "mandatory" : "optional");
+}
+
+/**
+ * Whether the test case is selected to run.
+ * A pattern matches the id or one of the tags, and an asterisk in it matches any characters.
+ * @param {TestCase} testCase
+ * @param {TestSelection} selection
+ * @returns {boolean}
+ */
+export function isSelected(testCase, selection) {
+    let names = [testCase.id].concat(testCaseTags(testCase));
+    /**
+     * @param {Array<string>} patterns
+     * @returns {boolean}
+     */
+    let matches = patterns => patterns.some(pattern => {
+        let regex = new RegExp("^" + pattern.split("*").map(part => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join(".*") + "$");
+        return names.some(name => regex.test(name));
+    });
+    if(selection.include != null && selection.include.length > 0 && !matches(selection.include)) {
+        return false;
+    }
+    if(selection.exclude != null && matches(selection.exclude)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * @param {any} body
+ * @returns {any}
+ */
+function normalizeBody(body) {
+    if(body instanceof Buffer) {
+        let string = body.toString("utf8");
+        try {
+            return JSON.parse(string);
+        }catch(error) {
+            return string;
+        }
+    }
+    return body;
+}
+
+/**
+ * Credentials must not be written to the report.
+ * @param {object} headers
+ * @returns {object}
+ */
+function maskHeaders(headers) {
+    let result = {...headers};
+    if(result.authorization != null) {
+        let authorization = String(result.authorization);
+        let index = authorization.indexOf(" ");
+        result.authorization = (index != -1 ? authorization.substring(0, index+1) : "") + "********";
+    }
+    return result;
+}
+
+/**
+ * Client credentials sent in the body by client_secret_post and private_key_jwt must not be written to the report either,
+ * nor the tokens issued by the target.
+ * @param {any} body
+ * @param {Array<string>} keys Properties holding the secrets
+ * @returns {any}
+ */
+function maskBody(body, keys) {
+    if(body == null || typeof body != "object" || Array.isArray(body)) return body;
+    let result = {...body};
+    keys.forEach(key => {
+        if(result[key] != null) {
+            result[key] = "********";
+        }
+    });
+    return result;
+}
\ No newline at end of file
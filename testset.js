@@ -0,0 +1,1625 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+import querystring from "node:querystring";
+import { v4 as UUID } from "uuid";
+import { formatToIso8601String, parseIso8601String } from "./date-utils.js";
+import { nextLink } from "./http.js";
+import { randomString } from "./string-utils.js";
+import { encodeJwt, decodeJwt } from "./jwt.js";
+import { matchesFilter, formatFilterLiteral, isDateTime } from "./filter.js";
+import { pathPrefix, majorVersion, eventTypes, EVENT_ERROR_CODES } from "./versions.js";
+
+/**
+ * @typedef {object} TestSetParameters
+ * @property {string} specVersion
+ * @property {string} dataContextPath
+ * @property {string} host
+ * @property {string} [accessToken]
+ * @property {string} [userAgent]
+ * @property {boolean} filterSupport
+ * @property {boolean} limitSupport
+ * @property {boolean} eventsSupport
+ * @property {string} stubContextPath
+ * @property {Array<any>} footprints Footprints acquired from the target, empty if the acquisition failed
+ * @property {any} schemaValidator lupinus Validator holding the specification
+ * @property {import("./rules.js").SemanticValidator} semanticValidator
+ * @property {() => import("./auth.js").TokenRequest} authentication Creates the request to obtain an access token with the correct credentials
+ * @property {number} [accessTokenExpiresAt] Expiry of the access token in milliseconds since the epoch, if the target tells expires_in
+ * @property {number} tokenExpiryWait Seconds allowed to wait for the access token to expire
+ * @property {number} getFootprintLimit Maximum number of the footprints retrieved with Action GetFootprint for the schema validation
+ * @property {import("./stub.js").StubPathfinderServer} [stubServer] Receives the replies to the events, if Action Events is supported
+ * @property {Array<CustomTestCase>} [customTestCases] Test cases defined in the setting file
+ */
+
+/**
+ * @typedef {object} CustomTestCase Test case defined in the setting file in the lupinus test set format
+ * @property {string} [id] custom-{number} in the order of the definitions if omitted
+ * @property {string} title
+ * @property {Array<string>} [tags] Tags in addition to custom
+ * @property {boolean} [mandatory]
+ * @property {Array<import("./test-runner.js").TestSequence>} sequence Paths are relative to the data context path
+ */
+
+/**
+ * @typedef {object} TestSet
+ * @property {Array<import("./test-runner.js").TestCase>} testCases
+ * @property {Array<import("./test-runner.js").TestCase>} replyTestCases Test cases waiting for the asynchronous replies of the target, run after all the others
+ */
+
+/**
+ * @typedef {object} EventRequest
+ * @property {string} id
+ * @property {string} title
+ * @property {string} replyId
+ * @property {string} replyTitle Title of the test case waiting for the reply
+ * @property {any} event ProductFootprintRequest Created event sent to the target
+ * @property {"fulfilled"|"rejected"} expectedReply
+ * @property {boolean} replyMandatory Whether the expected reply is required by the Tech Spec
+ * @property {boolean} accepted Whether the target accepted the event
+ */
+
+/**
+ * @typedef {object} EventNotification
+ * @property {any} event ProductFootprint Published event sent to the target
+ * @property {number} [sentAt] Milliseconds since the epoch when the event was sent, set if the target accepted it
+ */
+
+/**
+ * Creates the test cases for the version of the Tech Spec.
+ * The test cases depend on the footprints acquired from the target, but can also be created without them in order to report them as skipped.
+ * @param {TestSetParameters} parameters 
+ * @returns {TestSet}
+ */
+export function createTestSet(parameters) {
+    let specVersion = parameters.specVersion;
+    let dataContextPath = parameters.dataContextPath;
+    let host = parameters.host;
+    let accessToken = parameters.accessToken;
+    let userAgent = parameters.userAgent;
+    let limitSupport = parameters.limitSupport;
+    let footprints = parameters.footprints;
+    let schemaValidator = parameters.schemaValidator;
+    let semanticValidator = parameters.semanticValidator;
+
+    let pathPrefex = pathPrefix(specVersion);
+    let footprint = footprints.length > 0 ? footprints[0] : {};
+    let footprintsHeaders = {
+        host: host,
+        authorization: "Bearer " + accessToken,
+        "user-agent": userAgent
+    };
+    let notification = createEventNotification(parameters);
+    let eventRequests = createEventRequests(parameters);
+
+    return {
+        testCases: [
+            {
+                id: "list-all",
+                title: "Retrieval of all footprints",
+                tags: ["list"],
+                contextPath: dataContextPath,
+                sequence: [
+                    {
+                        path: pathPrefex + "/footprints",
+                        method: "get",
+                        request: {
+                            headers: {
+                                host: host,
+                                authorization: "Bearer " + accessToken,
+                                "user-agent": userAgent
+                            }
+                        },
+                        response: {
+                            status: 200
+                        }
+                    }
+                ]
+            },
+            ...createFilterTestCases(parameters),
+            {
+                id: "list-limit",
+                title: "Footprint acquisition limitations",
+                tags: ["list"],
+                contextPath: dataContextPath,
+                sequence: [
+                    {
+                        path: pathPrefex + "/footprints",
+                        method: "get",
+                        request: {
+                            headers: {
+                                host: host,
+                                authorization: "Bearer " + accessToken,
+                                "user-agent": userAgent
+                            },
+                            body: {
+                                limit: 1
+                            }
+                        },
+                        response: (limitSupport ? ({
+                            status: 200,
+                            headers: "{link != null}",
+                            body: "{data.length == 1}"
+                        }) : ({
+                            status: 400,
+                            body: "{code = 'NotImplemented'}"
+                        }))
+                    }
+                ]
+            },
+            {
+                id: "list-pagination",
+                title: "Pagination of footprints",
+                tags: ["list"],
+                procedure: async context => {
+                    if(!limitSupport) {
+                        context.skip("The limit request parameter is not supported.");
+                        return;
+                    }
+                    // A few pages are enough to verify the links, also for a large data set.
+                    let limit = Math.max(1, Math.ceil(footprints.length/5));
+                    let pages = await walkPages(context, `${dataContextPath}${pathPrefex}/footprints?limit=${limit}`, footprintsHeaders, Math.ceil(footprints.length/limit)+1);
+                    if(pages == null) {
+                        return;
+                    }
+                    if(pages.length < 2) {
+                        context.fail(`There is no next link, although there are ${footprints.length} footprints and the limit is ${limit}.`);
+                    }
+                    pages.forEach((page, index) => {
+                        if(page.length > limit) {
+                            context.fail(`The page ${index+1} contains ${page.length} footprints, which exceeds the limit ${limit}.`);
+                        }
+                    });
+                    let expectedIds = footprints.map(footprint => footprint.id);
+                    let ids = pages.flat().map(footprint => footprint.id);
+                    let duplicatedIds = ids.filter((id, index) => ids.indexOf(id) != index);
+                    if(duplicatedIds.length > 0) {
+                        context.fail(`The footprints are contained in more than one page. IDS: ${duplicatedIds.join(", ")}`);
+                    }
+                    let missingIds = expectedIds.filter(id => !ids.includes(id));
+                    if(missingIds.length > 0) {
+                        context.fail(`The footprints are missing from the pages. IDS: ${missingIds.join(", ")}`);
+                    }
+                    let unexpectedIds = ids.filter(id => !expectedIds.includes(id));
+                    if(unexpectedIds.length > 0) {
+                        context.fail(`The pages contain footprints not returned without the limit. IDS: ${unexpectedIds.join(", ")}`);
+                    }
+                }
+            },
+            {
+                id: "get-footprint",
+                title: "Retrieve the specific footprint",
+                tags: ["get"],
+                contextPath: dataContextPath,
+                sequence: [
+                    {
+                        path: pathPrefex + "/footprints/{id}",
+                        method: "get",
+                        request: {
+                            headers: {
+                                host: host,
+                                authorization: "Bearer " + accessToken,
+                                "user-agent": userAgent
+                            },
+                            body: {
+                                id: footprint.id
+                            }
+                        },
+                        response: {
+                            status: 200,
+                            body: "{data.id = '"+footprint.id+"'}"
+                        }
+                    }
+                ]
+            },
+            {
+                id: "list-schema",
+                title: "Schema validation of the footprints in Action ListFootprints",
+                tags: ["list", "validation"],
+                procedure: async context => {
+                    footprints.forEach(footprint => {
+                        validateFootprintSchema(schemaValidator, footprint).forEach(message => {
+                            context.fail(message);
+                        });
+                    });
+                }
+            },
+            {
+                id: "get-schema",
+                title: "Schema validation of the footprints in Action GetFootprint",
+                tags: ["get", "validation"],
+                procedure: async context => {
+                    for(let footprint of sampleFootprints(footprints, parameters.getFootprintLimit)) {
+                        let url = `${dataContextPath}${pathPrefex}/footprints/${encodeURIComponent(footprint.id)}`;
+                        let response = await context.request("get", url, footprintsHeaders);
+                        if(response.status != 200) {
+                            context.fail(`[${footprint.id}] The footprint could not be retrieved. STATUS: ${response.status} URL: ${url}`);
+                            continue;
+                        }
+                        if(response.body == null || response.body.data == null) {
+                            context.fail(`[${footprint.id}] The response does not contain the data. URL: ${url}`);
+                            continue;
+                        }
+                        validateFootprintSchema(schemaValidator, response.body.data).forEach(message => {
+                            context.fail(message);
+                        });
+                    }
+                }
+            },
+            {
+                id: "list-semantics",
+                title: "Semantic validation of the footprints",
+                tags: ["list", "validation"],
+                procedure: async context => {
+                    footprints.forEach(footprint => {
+                        semanticValidator.validate(footprint).forEach(violation => {
+                            context.fail(`[${violation.ruleId}] [${violation.footprintId}] ${violation.message}`);
+                        });
+                    });
+                }
+            },
+            ...createEventTestCases(parameters, notification, eventRequests),
+            {
+                id: "auth-illegal-token",
+                title: "Illegal access token",
+                tags: ["auth", "negative"],
+                contextPath: dataContextPath,
+                sequence: [
+                    {
+                        path: pathPrefex + "/footprints",
+                        method: "get",
+                        request: {
+                            headers: {
+                                host: host,
+                                authorization: "Bearer " + randomString(32),
+                                "user-agent": userAgent
+                            }
+                        },
+                        response: {
+                            status: 400,
+                            body: "{code = 'BadRequest'}"
+                        }
+                    }
+                ]
+            },
+            {
+                id: "get-unknown-footprint",
+                title: "Incorrect specific footprint request",
+                tags: ["get", "negative"],
+                contextPath: dataContextPath,
+                sequence: [
+                    {
+                        path: pathPrefex + "/footprints/{id}",
+                        method: "get",
+                        request: {
+                            headers: {
+                                host: host,
+                                authorization: "Bearer " + accessToken,
+                                "user-agent": userAgent
+                            },
+                            body: {
+                                id: UUID()
+                            }
+                        },
+                        response: {
+                            status: 404,
+                            body: "{code = 'NoSuchFootprint'}"
+                        }
+                    }
+                ]
+            },
+            ...createCustomTestCases(parameters),
+            // The access token may expire in these test cases, so they come last.
+            ...createTokenTestCases(parameters)
+        ],
+        replyTestCases: createReplyTestCases(parameters, notification, eventRequests)
+    };
+}
+
+/**
+ * The custom test cases are sent with the same host, access token and user agent as the built-in ones, unless the definitions set the headers.
+ * @param {TestSetParameters} parameters 
+ * @returns {Array<import("./test-runner.js").TestCase>}
+ */
+function createCustomTestCases(parameters) {
+    if(parameters.customTestCases == null) return [];
+    return parameters.customTestCases.map((customTestCase, index) => ({
+        id: customTestCase.id != null ? String(customTestCase.id) : `custom-${index+1}`,
+        title: customTestCase.title,
+        tags: ["custom"].concat(customTestCase.tags != null ? customTestCase.tags : []),
+        mandatory: customTestCase.mandatory,
+        contextPath: parameters.dataContextPath,
+        sequence: customTestCase.sequence.map(sequence => {
+            /** @type {{[key: string]: any}} */
+            let headers = {
+                host: parameters.host,
+                authorization: "Bearer " + parameters.accessToken,
+                "user-agent": parameters.userAgent
+            };
+            let request = sequence.request != null ? sequence.request : {};
+            if(request.headers != null) {
+                Object.keys(request.headers).forEach(key => {
+                    headers[key.toLowerCase()] = request.headers[key];
+                });
+            }
+            return {
+                path: sequence.path,
+                method: /** @type {"get"|"post"|"patch"|"put"|"delete"|"option"|"head"} */(sequence.method.toLowerCase()),
+                request: {
+                    headers: headers,
+                    body: request.body
+                },
+                response: sequence.response
+            };
+        })
+    }));
+}
+
+/**
+ * @param {TestSetParameters} parameters 
+ * @returns {Array<import("./test-runner.js").TestCase>}
+ */
+function createTokenTestCases(parameters) {
+    let dataContextPath = parameters.dataContextPath;
+    let host = parameters.host;
+    let accessToken = parameters.accessToken;
+    let userAgent = parameters.userAgent;
+    let authentication = parameters.authentication;
+    let accessTokenExpiresAt = parameters.accessTokenExpiresAt;
+    let tokenExpiryWait = parameters.tokenExpiryWait;
+
+    let url = dataContextPath + pathPrefix(parameters.specVersion) + "/footprints";
+
+    return [
+        {
+            id: "auth-wrongly-signed-token",
+            title: "Wrongly signed access token",
+            tags: ["auth", "negative"],
+            procedure: async context => {
+                // The header and the claim of the issued token are kept, so that only the signature is wrong.
+                let decoded = accessToken != null ? decodeJwt(accessToken) : undefined;
+                let now = Math.floor(new Date().getTime()/1000);
+                let header = decoded != null ? decoded.header : {typ: "JWT", alg: "HS256"};
+                let claim = decoded != null ? {...decoded.claim, exp: now + 60*60} : {iat: now, exp: now + 60*60};
+                let token = encodeJwt(header, claim, randomString(32));
+                let response = await context.request("get", url, {
+                    host: host,
+                    authorization: "Bearer " + token,
+                    "user-agent": userAgent
+                });
+                // The token is not expired, so only BadRequest is acceptable, as with an illegal token.
+                verifyTokenError(context, response, [400]);
+            }
+        },
+        {
+            id: "auth-expired-token",
+            title: "Expired access token",
+            tags: ["auth", "negative"],
+            procedure: async context => {
+                let now = new Date().getTime();
+                if(accessTokenExpiresAt != null && accessTokenExpiresAt - now <= tokenExpiryWait*1000) {
+                    // The issued token is the only expired token whose signature the target accepts.
+                    await new Promise(resolve => setTimeout(resolve, Math.max(0, accessTokenExpiresAt - now) + 1000));
+                    let response = await context.request("get", url, {
+                        host: host,
+                        authorization: "Bearer " + accessToken,
+                        "user-agent": userAgent
+                    });
+                    verifyTokenError(context, response, [401]);
+                    return;
+                }
+                // Without the key of the target, the expired token cannot be signed correctly, so BadRequest is also acceptable.
+                let decoded = accessToken != null ? decodeJwt(accessToken) : undefined;
+                let iat = Math.floor(now/1000) - 2*60*60;
+                let header = decoded != null ? decoded.header : {typ: "JWT", alg: "HS256"};
+                let claim = decoded != null ? {...decoded.claim, iat: iat, exp: iat + 60*60} : {iat: iat, exp: iat + 60*60};
+                let response = await context.request("get", url, {
+                    host: host,
+                    authorization: "Bearer " + encodeJwt(header, claim, randomString(32)),
+                    "user-agent": userAgent
+                });
+                verifyTokenError(context, response, [400, 401]);
+            }
+        },
+        {
+            id: "auth-reauthentication",
+            title: "Reauthentication",
+            tags: ["auth"],
+            procedure: async context => {
+                // The request is created here, as a client assertion created with the test set may have expired by now.
+                let tokenRequest = authentication();
+                let response = await context.request("post", tokenRequest.url, tokenRequest.headers, tokenRequest.body);
+                if(response.status != 200) {
+                    context.fail(`Reauthentication failed. STATUS: ${response.status} URL: ${tokenRequest.url}`);
+                    return;
+                }
+                let freshAccessToken = response.body != null ? response.body.access_token : undefined;
+                if(freshAccessToken == null) {
+                    context.fail(`Access token is empty. URL: ${tokenRequest.url}`);
+                    return;
+                }
+                response = await context.request("get", url, {
+                    host: host,
+                    authorization: "Bearer " + freshAccessToken,
+                    "user-agent": userAgent
+                });
+                if(response.status != 200 && response.status != 202) {
+                    context.fail(`Footprints acquisition failed with the access token obtained by reauthentication. STATUS: ${response.status} URL: ${url}`);
+                }
+            }
+        }
+    ];
+}
+
+/**
+ * Picks the footprints at even intervals, so that a large target is not requested for all of its footprints.
+ * @param {Array<any>} footprints 
+ * @param {number} limit 
+ * @returns {Array<any>}
+ */
+function sampleFootprints(footprints, limit) {
+    if(footprints.length <= limit) {
+        return footprints;
+    }
+    let samples = [];
+    for(let i=0; i<limit; i++) {
+        samples.push(footprints[Math.floor(i*footprints.length/limit)]);
+    }
+    return samples;
+}
+
+/**
+ * Tech Spec: an invalid access token results in BadRequest, and an expired one in TokenExpired.
+ * @param {import("./test-runner.js").TestContext} context 
+ * @param {import("./http.js").HttpResponse} response 
+ * @param {Array<number>} statuses Acceptable status codes
+ */
+function verifyTokenError(context, response, statuses) {
+    if(!statuses.includes(response.status)) {
+        context.fail(`The status code was expected to be ${statuses.join(" or ")}, but was ${response.status}.`);
+        return;
+    }
+    let code = response.status == 401 ? "TokenExpired" : "BadRequest";
+    if(response.body == null || response.body.code != code) {
+        context.fail(`The error code was expected to be ${code}, but was ${response.body != null ? response.body.code : undefined}.`);
+    }
+}
+
+/**
+ * Tech Spec ver 3 replaces the $filter request parameter with the individual query parameters.
+ * @param {TestSetParameters} parameters 
+ * @returns {Array<import("./test-runner.js").TestCase>}
+ */
+function createFilterTestCases(parameters) {
+    let dataContextPath = parameters.dataContextPath;
+    let host = parameters.host;
+    let accessToken = parameters.accessToken;
+    let userAgent = parameters.userAgent;
+    let filterSupport = parameters.filterSupport;
+
+    let pathPrefex = pathPrefix(parameters.specVersion);
+    let footprint = parameters.footprints.length > 0 ? parameters.footprints[0] : {};
+    let productId = footprint.productIds != null ? footprint.productIds[0] : undefined;
+
+    if(majorVersion(parameters.specVersion) < 3) {
+        if(filterSupport) {
+            return createODataFilterTestCases(parameters);
+        }
+        return [
+            {
+                id: "filter-created",
+                title: "Date filtering for footprints",
+                tags: ["filter"],
+                contextPath: dataContextPath,
+                sequence: [
+                    {
+                        path: pathPrefex + "/footprints",
+                        method: "get",
+                        request: {
+                            headers: {
+                                host: host,
+                                authorization: "Bearer " + accessToken,
+                                "user-agent": userAgent
+                            },
+                            body: {
+                                "$filter": `created ge ${footprint.created}`
+                            }
+                        },
+                        response: {
+                            status: 400,
+                            body: "{code = 'NotImplemented'}"
+                        }
+                    }
+                ]
+            },
+            {
+                id: "filter-product",
+                title: "Product filtering for footprints",
+                tags: ["filter"],
+                contextPath: dataContextPath,
+                sequence: [
+                    {
+                        path: pathPrefex + "/footprints",
+                        method: "get",
+                        request: {
+                            headers: {
+                                host: host,
+                                authorization: "Bearer " + accessToken,
+                                "user-agent": userAgent
+                            },
+                            body: {
+                                "$filter": `productIds/any(productId:(productId eq '${productId}'))`
+                            }
+                        },
+                        response: {
+                            status: 400,
+                            body: "{code = 'NotImplemented'}"
+                        }
+                    }
+                ]
+            }
+        ];
+    }
+
+    let companyId = footprint.companyIds != null ? footprint.companyIds[0] : undefined;
+    let geography = footprint.pcf != null ? footprint.pcf.geographyCountry : undefined;
+    return [
+        {
+            id: "filter-product",
+            title: "Product filtering for footprints",
+            tags: ["filter"],
+            contextPath: dataContextPath,
+            sequence: [
+                {
+                    path: pathPrefex + "/footprints",
+                    method: "get",
+                    request: {
+                        headers: {
+                            host: host,
+                            authorization: "Bearer " + accessToken,
+                            "user-agent": userAgent
+                        },
+                        body: {
+                            productId: productId
+                        }
+                    },
+                    response: (filterSupport ? ({
+                        status: 200,
+                        body: `{'${productId}' in data[*].productIds}`
+                    }) : ({
+                        status: 400,
+                        body: "{code = 'NotImplemented'}"
+                    }))
+                }
+            ]
+        },
+        {
+            id: "filter-company",
+            title: "Company filtering for footprints",
+            tags: ["filter"],
+            contextPath: dataContextPath,
+            sequence: [
+                {
+                    path: pathPrefex + "/footprints",
+                    method: "get",
+                    request: {
+                        headers: {
+                            host: host,
+                            authorization: "Bearer " + accessToken,
+                            "user-agent": userAgent
+                        },
+                        body: {
+                            companyId: companyId
+                        }
+                    },
+                    response: (filterSupport ? ({
+                        status: 200,
+                        body: `{'${companyId}' in data[*].companyIds}`
+                    }) : ({
+                        status: 400,
+                        body: "{code = 'NotImplemented'}"
+                    }))
+                }
+            ]
+        },
+        {
+            id: "filter-geography",
+            title: "Geography filtering for footprints",
+            tags: ["filter"],
+            contextPath: dataContextPath,
+            sequence: [
+                {
+                    path: pathPrefex + "/footprints",
+                    method: "get",
+                    request: {
+                        headers: {
+                            host: host,
+                            authorization: "Bearer " + accessToken,
+                            "user-agent": userAgent
+                        },
+                        body: {
+                            geography: geography
+                        }
+                    },
+                    response: (filterSupport ? ({
+                        status: 200,
+                        body: `{data[*].pcf.geographyCountry = '${geography}'}`
+                    }) : ({
+                        status: 400,
+                        body: "{code = 'NotImplemented'}"
+                    }))
+                }
+            ]
+        }
+    ];
+}
+
+/**
+ * Creates the test cases of the $filter request parameter.
+ * The expected results are derived from the footprints acquired without the filter, and must match exactly.
+ * @param {TestSetParameters} parameters 
+ * @returns {Array<import("./test-runner.js").TestCase>}
+ */
+function createODataFilterTestCases(parameters) {
+    let footprints = parameters.footprints;
+    let url = parameters.dataContextPath + pathPrefix(parameters.specVersion) + "/footprints";
+    let headers = {
+        host: parameters.host,
+        authorization: "Bearer " + parameters.accessToken,
+        "user-agent": parameters.userAgent
+    };
+
+    // Tech Spec ver 1 names it the reporting period.
+    let periodStartName = majorVersion(parameters.specVersion) < 2 ? "reportingPeriodStart" : "referencePeriodStart";
+    let periodEndName = majorVersion(parameters.specVersion) < 2 ? "reportingPeriodEnd" : "referencePeriodEnd";
+
+    let footprint = footprints.length > 0 ? footprints[0] : {};
+    let created = medianValue(footprints.map(footprint => footprint.created));
+    let updated = medianValue(footprints.map(footprint => footprint.updated));
+    let productId = footprint.productIds != null ? footprint.productIds[0] : undefined;
+    let companyId = footprint.companyIds != null ? footprint.companyIds[0] : undefined;
+    // Every code is checked, as codes that look like numbers are easily compared as numbers or dates.
+    let productCategoryCpcs = footprints.map(footprint => footprint.productCategoryCpc).filter((value, index, values) => value != null && values.indexOf(value) == index).slice(0, 5);
+    let geography = footprints.map(footprint => footprint.pcf != null ? footprint.pcf.geographyCountry : undefined).find(geography => geography != null);
+    let periodStart = medianValue(footprints.map(footprint => footprint.pcf != null ? footprint.pcf[periodStartName] : undefined));
+    let periodEnd = medianValue(footprints.map(footprint => footprint.pcf != null ? footprint.pcf[periodEndName] : undefined));
+
+    let operators = ["eq", "lt", "le", "gt", "ge"];
+    let productFilter = `productIds/any(productId:(productId eq ${formatFilterLiteral(productId)}))`;
+    let companyFilter = `companyIds/any(companyId:(companyId eq ${formatFilterLiteral(companyId)}))`;
+
+    /** @type {Array<{id: string, title: string, property: string, value: any, filters: Array<string>}>} */
+    let groups = [
+        {
+            id: "filter-created",
+            title: "Date filtering for footprints",
+            property: "created",
+            value: created,
+            filters: operators.map(operator => `created ${operator} ${formatFilterLiteral(created)}`)
+        },
+        {
+            id: "filter-updated",
+            title: "Update date filtering for footprints",
+            property: "updated",
+            value: updated,
+            filters: operators.map(operator => `updated ${operator} ${formatFilterLiteral(updated)}`)
+        },
+        {
+            id: "filter-product",
+            title: "Product filtering for footprints",
+            property: "productIds",
+            value: productId,
+            filters: [productFilter]
+        },
+        {
+            id: "filter-company",
+            title: "Company filtering for footprints",
+            property: "companyIds",
+            value: companyId,
+            filters: [companyFilter]
+        },
+        {
+            id: "filter-product-category",
+            title: "Product category filtering for footprints",
+            property: "productCategoryCpc",
+            value: productCategoryCpcs.length > 0 ? productCategoryCpcs[0] : undefined,
+            filters: productCategoryCpcs.map(productCategoryCpc => `productCategoryCpc eq ${formatFilterLiteral(productCategoryCpc)}`)
+        },
+        {
+            id: "filter-geography",
+            title: "Geography filtering for footprints",
+            property: "pcf/geographyCountry",
+            value: geography,
+            filters: [`pcf/geographyCountry eq ${formatFilterLiteral(geography)}`]
+        },
+        {
+            id: "filter-reference-period",
+            title: "Reference period filtering for footprints",
+            property: `pcf/${periodStartName}`,
+            value: periodStart != null && periodEnd != null ? periodStart : undefined,
+            filters: [
+                `pcf/${periodStartName} ge ${formatFilterLiteral(periodStart)}`,
+                `pcf/${periodStartName} lt ${formatFilterLiteral(periodStart)}`,
+                `pcf/${periodEndName} le ${formatFilterLiteral(periodEnd)}`,
+                `pcf/${periodEndName} gt ${formatFilterLiteral(periodEnd)}`
+            ]
+        },
+        {
+            id: "filter-combined",
+            title: "Combined filtering for footprints",
+            property: "created",
+            value: created != null && productId != null && companyId != null ? created : undefined,
+            filters: [
+                `created ge ${formatFilterLiteral(created)} and ${productFilter}`,
+                `created le ${formatFilterLiteral(created)} and ${companyFilter}`,
+                `${productFilter} and ${companyFilter}`
+            ]
+        }
+    ];
+
+    /** @type {Array<import("./test-runner.js").TestCase>} */
+    let testCases = groups.map(group => ({
+        id: group.id,
+        title: group.title,
+        tags: ["filter"],
+        procedure: async context => {
+            if(group.value == null) {
+                context.skip(`None of the footprints has the ${group.property}.`);
+                return;
+            }
+            for(let filter of group.filters) {
+                await verifyFilter(context, url, headers, filter, footprints);
+            }
+        }
+    }));
+
+    testCases.push({
+        id: "filter-malformed",
+        title: "Malformed filters",
+        tags: ["filter", "negative"],
+        procedure: async context => {
+            let filters = [
+                `created gee ${formatFilterLiteral(created)}`,
+                "created ge",
+                `(created ge ${formatFilterLiteral(created)}`,
+                `productIds/any(productId:(productId eq ${formatFilterLiteral(productId)})`,
+                "productCategoryCpc eq '49",
+                `created ge ${formatFilterLiteral(created)} and`
+            ];
+            for(let filter of filters) {
+                await context.request("get", url + "?" + querystring.stringify({"$filter": filter}), headers, undefined, {
+                    status: 400,
+                    body: "{code = 'BadRequest'}"
+                });
+            }
+        }
+    });
+    return testCases;
+}
+
+/**
+ * Compares the footprints returned with the filter with those expected from the footprints acquired without the filter.
+ * @param {import("./test-runner.js").TestContext} context 
+ * @param {string} url URL of Action ListFootprints
+ * @param {object} headers 
+ * @param {string} filter 
+ * @param {Array<any>} footprints Footprints acquired without the filter
+ */
+async function verifyFilter(context, url, headers, filter, footprints) {
+    let expectedIds = footprints.filter(footprint => matchesFilter(filter, footprint)).map(footprint => footprint.id);
+    let pages = await walkPages(context, url + "?" + querystring.stringify({"$filter": filter}), headers, footprints.length+1);
+    if(pages == null) return;
+    let ids = pages.flat().map(footprint => footprint.id);
+    let missingIds = expectedIds.filter(id => !ids.includes(id));
+    if(missingIds.length > 0) {
+        context.fail(`The footprints matching the filter are missing. FILTER: ${filter} IDS: ${missingIds.join(", ")}`);
+    }
+    let unexpectedIds = ids.filter(id => !expectedIds.includes(id));
+    if(unexpectedIds.length > 0) {
+        context.fail(`The footprints not matching the filter are returned. FILTER: ${filter} IDS: ${unexpectedIds.join(", ")}`);
+    }
+}
+
+/**
+ * Picks the middle of the distinct values, so that the comparisons split the footprints.
+ * @param {Array<any>} values 
+ * @returns {any}
+ */
+function medianValue(values) {
+    let distinctValues = values.filter((value, index) => value != null && values.indexOf(value) == index);
+    if(distinctValues.length == 0) return undefined;
+    distinctValues.sort((value1, value2) => {
+        if(isDateTime(value1) && isDateTime(value2)) {
+            return /** @type {Date} */(parseIso8601String(value1)).getTime() - /** @type {Date} */(parseIso8601String(value2)).getTime();
+        }
+        return String(value1) < String(value2) ? -1 : (String(value1) > String(value2) ? 1 : 0);
+    });
+    return distinctValues[Math.floor(distinctValues.length/2)];
+}
+
+/**
+ * @param {TestSetParameters} parameters 
+ * @param {EventNotification} notification 
+ * @param {Array<EventRequest>} eventRequests 
+ * @returns {Array<import("./test-runner.js").TestCase>}
+ */
+function createEventTestCases(parameters, notification, eventRequests) {
+    let pathPrefex = pathPrefix(parameters.specVersion);
+    return [
+        {
+            id: "events-notification",
+            title: "Footprint update notification",
+            tags: ["events"],
+            procedure: async context => {
+                let event = notification.event;
+                event.time = formatToIso8601String(new Date(), true);
+                // The target may retrieve the footprints before responding.
+                let sentAt = new Date().getTime();
+                let response = await context.request("post", parameters.dataContextPath + pathPrefex + "/events", {
+                    host: parameters.host,
+                    authorization: "Bearer " + parameters.accessToken,
+                    "content-type": "application/cloudevents+json; charset=UTF-8",
+                    "user-agent": parameters.userAgent
+                }, event, parameters.eventsSupport ? {
+                    status: 200
+                } : {
+                    status: 400,
+                    body: "{code = 'NotImplemented'}"
+                });
+                if(response.status == 200) {
+                    notification.sentAt = sentAt;
+                }
+            }
+        },
+        ...eventRequests.map(eventRequest => createRequestTestCase(parameters, eventRequest)),
+        ...createRejectionTestCases(parameters, eventRequests),
+        ...createMalformedEventTestCases(parameters)
+    ];
+}
+
+/**
+ * Creates the test cases sending ProductFootprintRequest Rejected event with each error code, and malformed ones.
+ * The well-formed ones refer to the request for the unknown product sent before, so the target knows the request and must accept them.
+ * @param {TestSetParameters} parameters 
+ * @param {Array<EventRequest>} eventRequests 
+ * @returns {Array<import("./test-runner.js").TestCase>}
+ */
+function createRejectionTestCases(parameters, eventRequests) {
+    let accepted = parameters.eventsSupport ? {200: []} : {400: ["NotImplemented"]};
+    let rejected = parameters.eventsSupport ? {400: ["BadRequest"]} : {400: ["NotImplemented"]};
+    /** @type {import("./test-runner.js").TestCase} */
+    let unknownRequestTestCase = createEventTestCase(parameters, "events-rejection-unknown-request", "Request rejection of an unknown request", ["events"], fixture => {
+        return fixture.event;
+    }, parameters.eventsSupport ? {200: [], 400: ["BadRequest"]} : {400: ["NotImplemented"]});
+    // The Tech Spec does not tell how to answer a rejection of a request that the target has never seen.
+    unknownRequestTestCase.mandatory = false;
+    return [
+        ...EVENT_ERROR_CODES.map(code => createEventTestCase(parameters, "events-rejection-" + code.toLowerCase(), `Request rejection with ${code}`, ["events"], (fixture, context) => {
+            if(parameters.eventsSupport) {
+                let eventRequest = eventRequests.find(eventRequest => eventRequest.expectedReply == "rejected");
+                if(eventRequest == null || !eventRequest.accepted) {
+                    context.skip(`The target did not accept the request${eventRequest != null ? ` [${eventRequest.event.id}]` : ""}.`);
+                    return undefined;
+                }
+                fixture.event.data.requestEventId = eventRequest.event.id;
+            }
+            fixture.event.data.error.code = code;
+            return fixture.event;
+        }, accepted)),
+        unknownRequestTestCase,
+        createEventTestCase(parameters, "events-rejection-without-request-event-id", "Request rejection without requestEventId", ["events", "negative"], fixture => {
+            delete fixture.event.data.requestEventId;
+            return fixture.event;
+        }, rejected),
+        createEventTestCase(parameters, "events-rejection-without-error", "Request rejection without error", ["events", "negative"], fixture => {
+            delete fixture.event.data.error;
+            return fixture.event;
+        }, rejected),
+        createEventTestCase(parameters, "events-rejection-unknown-code", "Request rejection with an unknown error code", ["events", "negative"], fixture => {
+            fixture.event.data.error.code = "UnknownError";
+            return fixture.event;
+        }, rejected),
+        createEventTestCase(parameters, "events-rejection-without-message", "Request rejection without error message", ["events", "negative"], fixture => {
+            delete fixture.event.data.error.message;
+            return fixture.event;
+        }, rejected)
+    ];
+}
+
+/**
+ * @typedef {object} EventFixture
+ * @property {{[key: string]: string}} headers Request headers of Action Events with the access token
+ * @property {any} event Well-formed ProductFootprintRequest Rejected event, which does not affect the target even if it is accepted
+ */
+
+/**
+ * @param {TestSetParameters} parameters 
+ * @returns {EventFixture}
+ */
+function createEventFixture(parameters) {
+    return {
+        headers: {
+            host: parameters.host,
+            authorization: "Bearer " + parameters.accessToken,
+            "content-type": "application/cloudevents+json; charset=UTF-8",
+            "user-agent": parameters.userAgent
+        },
+        event: {
+            type: eventTypes(parameters.specVersion).requestRejected,
+            specversion: "1.0",
+            id: UUID(),
+            source: parameters.stubContextPath + pathPrefix(parameters.specVersion) + "/events",
+            time: formatToIso8601String(new Date(), true),
+            data: {
+                requestEventId: UUID(),
+                error: {
+                    code: "NoSuchFootprint",
+                    message: "The request was rejected by the testbed."
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Creates a test case sending a variation of the event fixture to Action Events of the target.
+ * @param {TestSetParameters} parameters 
+ * @param {string} id 
+ * @param {string} title 
+ * @param {Array<string>} tags 
+ * @param {(fixture: EventFixture, context: import("./test-runner.js").TestContext) => any} modify Modifies the headers or the event of the fixture, and returns the body to send, or undefined if the test case is skipped
+ * @param {{[status: number]: Array<string>}} expected Acceptable error codes by the status code, empty for a success response
+ * @returns {import("./test-runner.js").TestCase}
+ */
+function createEventTestCase(parameters, id, title, tags, modify, expected) {
+    let url = parameters.dataContextPath + pathPrefix(parameters.specVersion) + "/events";
+    return {
+        id: id,
+        title: title,
+        tags: tags,
+        procedure: async context => {
+            let fixture = createEventFixture(parameters);
+            let body = modify(fixture, context);
+            if(body === undefined) return;
+            let response = await context.request("post", url, fixture.headers, body);
+            verifyEventResponse(context, response, expected);
+        }
+    };
+}
+
+/**
+ * Verifies the status code of the response of Action Events, and the error code of the Tech Spec in the body of an error response.
+ * @param {import("./test-runner.js").TestContext} context 
+ * @param {import("./http.js").HttpResponse} response 
+ * @param {{[status: number]: Array<string>}} expected Acceptable error codes by the status code, empty for a success response
+ * @returns {boolean}
+ */
+function verifyEventResponse(context, response, expected) {
+    let statuses = Object.keys(expected).map(Number);
+    if(response.status == null || !statuses.includes(response.status)) {
+        context.fail(`The status code was expected to be ${statuses.join(" or ")}, but was ${response.status}.`);
+        return false;
+    }
+    let codes = expected[response.status];
+    if(codes.length == 0) {
+        return true;
+    }
+    /** @type {any} */
+    let body = response.body;
+    let code = body != null && typeof body == "object" ? body.code : undefined;
+    if(!codes.includes(code)) {
+        context.fail(`The error code was expected to be ${codes.join(" or ")}, but was ${code}.`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Creates ProductFootprint Published event notifying the footprints served by the stub server, so that the target can retrieve them.
+ * @param {TestSetParameters} parameters 
+ * @returns {EventNotification}
+ */
+function createEventNotification(parameters) {
+    let pfIds = parameters.stubServer != null ? parameters.stubServer.footprints.slice(0, 2).map(footprint => footprint.id) : [];
+    if(pfIds.length == 0) {
+        pfIds = [UUID()];
+    }
+    return {
+        event: {
+            type: eventTypes(parameters.specVersion).published,
+            specversion: "1.0",
+            id: UUID(),
+            source: parameters.stubContextPath + pathPrefix(parameters.specVersion) + "/events",
+            data: {
+                pfIds: pfIds
+            }
+        }
+    };
+}
+
+/**
+ * Creates ProductFootprintRequest Created events, one for the footprint acquired from the target, and another for an unknown product.
+ * @param {TestSetParameters} parameters 
+ * @returns {Array<EventRequest>}
+ */
+function createEventRequests(parameters) {
+    let footprint = parameters.footprints.length > 0 ? parameters.footprints[0] : {};
+
+    /**
+     * @param {Array<string>} companyIds 
+     * @param {Array<string>} productIds 
+     * @returns {any}
+     */
+    let createEvent = (companyIds, productIds) => {
+        let data;
+        if(majorVersion(parameters.specVersion) < 3) {
+            data = {
+                pf: {
+                    companyIds: companyIds,
+                    productIds: productIds
+                },
+                comment: "Please send PCF data for this year."
+            };
+        }else {
+            data = {
+                productId: productIds,
+                companyId: companyIds,
+                comment: "Please send PCF data for this year."
+            };
+        }
+        return {
+            type: eventTypes(parameters.specVersion).requestCreated,
+            specversion: "1.0",
+            id: UUID(),
+            source: parameters.stubContextPath + pathPrefix(parameters.specVersion) + "/events",
+            data: data
+        };
+    };
+
+    return [
+        {
+            id: "events-request",
+            title: "Request to send footprints",
+            replyId: "events-request-fulfillment",
+            replyTitle: "Fulfillment of the request to send footprints",
+            event: createEvent(footprint.companyIds, footprint.productIds),
+            expectedReply: "fulfilled",
+            replyMandatory: true,
+            accepted: false
+        },
+        {
+            id: "events-request-unknown-product",
+            title: "Request to send footprints of an unknown product",
+            replyId: "events-request-rejection",
+            replyTitle: "Rejection of the request to send footprints of an unknown product",
+            event: createEvent(footprint.companyIds, ["urn:uuid:"+UUID()]),
+            expectedReply: "rejected",
+            // The Tech Spec does not require rejecting the request, the target may fulfill it with the footprints it computes.
+            replyMandatory: false,
+            accepted: false
+        }
+    ];
+}
+
+/**
+ * Creates the test case sending ProductFootprintRequest Created event.
+ * If the stub server is running, the event is tracked so that the reply of the target can be verified later.
+ * @param {TestSetParameters} parameters 
+ * @param {EventRequest} eventRequest 
+ * @returns {import("./test-runner.js").TestCase}
+ */
+function createRequestTestCase(parameters, eventRequest) {
+    let pathPrefex = pathPrefix(parameters.specVersion);
+    let stubServer = parameters.stubServer;
+    return {
+        id: eventRequest.id,
+        title: eventRequest.title,
+        tags: ["events"],
+        procedure: async context => {
+            let event = eventRequest.event;
+            event.time = formatToIso8601String(new Date(), true);
+            if(parameters.eventsSupport && stubServer != null) {
+                // Tracked before sending, because the target may reply before responding.
+                stubServer.trackRequest(event);
+            }
+            let response = await context.request("post", parameters.dataContextPath + pathPrefex + "/events", {
+                host: parameters.host,
+                authorization: "Bearer " + parameters.accessToken,
+                "content-type": "application/cloudevents+json; charset=UTF-8",
+                "user-agent": parameters.userAgent
+            }, event, parameters.eventsSupport ? {
+                status: 200
+            } : {
+                status: 400,
+                body: "{code = 'NotImplemented'}"
+            });
+            eventRequest.accepted = response.status == 200;
+        }
+    };
+}
+
+/**
+ * Creates the test cases sending malformed events, which the target must not accept.
+ * @param {TestSetParameters} parameters 
+ * @returns {Array<import("./test-runner.js").TestCase>}
+ */
+function createMalformedEventTestCases(parameters) {
+    // The target that does not implement Action Events may reject any event as not implemented.
+    let badRequest = parameters.eventsSupport ? ["BadRequest"] : ["BadRequest", "NotImplemented"];
+    let tags = ["events", "negative"];
+    return [
+        createEventTestCase(parameters, "events-wrong-content-type", "Event with wrong content-type", tags, fixture => {
+            fixture.headers["content-type"] = "application/json";
+            return fixture.event;
+        }, {400: badRequest}),
+        ...["type", "id", "source"].map(property => createEventTestCase(parameters, "events-without-" + property, `Event without ${property}`, tags, fixture => {
+            delete fixture.event[property];
+            return fixture.event;
+        }, {400: badRequest})),
+        createEventTestCase(parameters, "events-unknown-type", "Event of an unknown type", tags, fixture => {
+            // The type is in the namespace of the version, so that only the type itself is unknown.
+            fixture.event.type = majorVersion(parameters.specVersion) >= 3
+                ? "org.wbcsd.pact.ProductFootprint.Unknown" + randomString(8) + "Event.3"
+                : "org.wbcsd.pathfinder.Unknown" + randomString(8) + ".v1";
+            return fixture.event;
+        }, {400: badRequest}),
+        createEventTestCase(parameters, "events-invalid-specversion", "Event with invalid specversion", tags, fixture => {
+            fixture.event.specversion = "0.3";
+            return fixture.event;
+        }, {400: badRequest}),
+        createEventTestCase(parameters, "events-non-json-body", "Event with non-JSON body", tags, fixture => {
+            // Truncated in the middle of the JSON.
+            return JSON.stringify(fixture.event).substring(0, 32);
+        }, {400: badRequest}),
+        createEventTestCase(parameters, "events-without-token", "Event without access token", tags, fixture => {
+            delete fixture.headers["authorization"];
+            return fixture.event;
+        }, {400: badRequest, 403: ["AccessDenied"]})
+    ];
+}
+
+/**
+ * Creates the test cases waiting for the target to reply to ProductFootprintRequest Created events and to retrieve the published footprints, followed by the validation of all the events received from the target.
+ * @param {TestSetParameters} parameters 
+ * @param {EventNotification} notification 
+ * @param {Array<EventRequest>} eventRequests 
+ * @returns {Array<import("./test-runner.js").TestCase>}
+ */
+function createReplyTestCases(parameters, notification, eventRequests) {
+    let stubServer = parameters.stubServer;
+    if(!parameters.eventsSupport || stubServer == null) {
+        return [];
+    }
+    let events = eventTypes(parameters.specVersion);
+    /** @type {Array<import("./test-runner.js").TestCase>} */
+    let testCases = eventRequests.map(eventRequest => ({
+        id: eventRequest.replyId,
+        title: eventRequest.replyTitle,
+        tags: ["events"],
+        mandatory: eventRequest.replyMandatory,
+        procedure: async context => {
+            if(!eventRequest.accepted) {
+                context.skip(`The target did not accept the request [${eventRequest.event.id}].`);
+                return;
+            }
+            let trackedRequest = await stubServer.waitForReply(eventRequest.event.id);
+            if(trackedRequest.status == "timeout") {
+                trackedRequest.errors.forEach(error => {
+                    context.timeout(error);
+                });
+                return;
+            }
+            if(trackedRequest.status != eventRequest.expectedReply) {
+                let expectedType = eventRequest.expectedReply == "fulfilled" ? events.requestFulfilled : events.requestRejected;
+                context.fail(`The target was expected to reply with ${expectedType}, but replied with ${trackedRequest.reply.type}.`);
+            }
+            trackedRequest.errors.forEach(error => {
+                context.fail(error);
+            });
+            if(trackedRequest.status == "fulfilled" && Array.isArray(trackedRequest.reply.data.pfs)) {
+                trackedRequest.reply.data.pfs.forEach(footprint => {
+                    validateFootprintSchema(parameters.schemaValidator, footprint).forEach(message => {
+                        context.fail(message);
+                    });
+                });
+            }
+        }
+    }));
+    testCases.push({
+        id: "events-retrieval",
+        title: "Retrieval of the published footprints",
+        tags: ["events"],
+        // The Tech Spec leaves it to the receiver whether to retrieve the footprints.
+        mandatory: false,
+        procedure: async context => {
+            let sentAt = notification.sentAt;
+            if(sentAt == null) {
+                context.skip("The target did not accept the notification.");
+                return;
+            }
+            let pfIds = notification.event.data.pfIds;
+            let retrieval = await stubServer.waitForRetrieval(pfIds, sentAt);
+            if(!retrieval.completed) {
+                let remainingIds = pfIds.filter(pfId => !retrieval.retrievedIds.includes(pfId));
+                let message = `The target did not retrieve the published footprints [${remainingIds.join(", ")}] from the stub server in time.`;
+                if(!retrieval.authenticated) {
+                    message += " The target did not obtain an access token from the stub server either.";
+                }
+                context.timeout(message);
+            }
+        }
+    });
+    testCases.push({
+        id: "events-received",
+        title: "Events received from the target",
+        tags: ["events"],
+        procedure: async context => {
+            let receivedEvents = stubServer.receivedEvents;
+            if(receivedEvents.length == 0) {
+                context.skip("The target did not send any events to the stub server.");
+                return;
+            }
+            receivedEvents.forEach(receivedEvent => {
+                let id = receivedEvent.event != null && receivedEvent.event.id != null ? receivedEvent.event.id : "unknown id";
+                receivedEvent.errors.forEach(error => {
+                    context.fail(`[${id}] ${error}`);
+                });
+            });
+        }
+    });
+    return testCases;
+}
+
+/**
+ * @typedef {object} DiscoveryTestParameters
+ * @property {string} authContextPath
+ * @property {string} [userAgent]
+ * @property {import("./auth.js").ClientAuthenticationMethod} authMethod
+ * @property {(tokenUrl: string) => import("./auth.js").TokenRequest} authentication Creates the request to obtain an access token with the correct credentials
+ */
+
+/**
+ * Creates the test cases of OpenID Connect Discovery, which the Tech Spec does not require.
+ * @param {DiscoveryTestParameters} parameters 
+ * @returns {Array<import("./test-runner.js").TestCase>}
+ */
+export function createDiscoveryTestCases(parameters) {
+    let authContextPath = parameters.authContextPath.replace(/\/+$/, "");
+    let discoveryUrl = authContextPath + "/.well-known/openid-configuration";
+    let headers = {
+        host: new URL(discoveryUrl).hostname,
+        accept: "application/json",
+        "user-agent": parameters.userAgent
+    };
+
+    /** @type {any} */
+    let configuration;
+
+    /**
+     * @param {import("./test-runner.js").TestContext} context 
+     * @returns {boolean}
+     */
+    let available = context => {
+        if(configuration == null) {
+            context.skip("The discovery document is not available.");
+            return false;
+        }
+        return true;
+    };
+
+    return [
+        {
+            id: "discovery-document",
+            title: "OpenID Connect Discovery document",
+            tags: ["auth", "discovery"],
+            mandatory: false,
+            procedure: async context => {
+                let response = await context.request("get", discoveryUrl, headers);
+                if(response.status == 404) {
+                    context.skip("OpenID Connect Discovery is not implemented.");
+                    return;
+                }
+                if(response.status != 200) {
+                    context.fail(`The discovery document could not be retrieved. STATUS: ${response.status} URL: ${discoveryUrl}`);
+                    return;
+                }
+                if(response.body == null || typeof response.body != "object" || Array.isArray(response.body)) {
+                    context.fail(`The discovery document is not a JSON object. URL: ${discoveryUrl}`);
+                    return;
+                }
+                ["issuer", "token_endpoint"].forEach(key => {
+                    if(typeof response.body[key] != "string" || response.body[key].length == 0) {
+                        context.fail(`The discovery document does not contain ${key}. URL: ${discoveryUrl}`);
+                    }
+                });
+                if(typeof response.body.token_endpoint == "string" && !URL.canParse(response.body.token_endpoint)) {
+                    context.fail(`The token_endpoint is not an absolute URL. VALUE: ${response.body.token_endpoint}`);
+                }
+                if(context.failures.length == 0) {
+                    configuration = response.body;
+                }
+            }
+        },
+        {
+            id: "discovery-issuer",
+            title: "Issuer of the discovery document",
+            tags: ["auth", "discovery"],
+            mandatory: false,
+            procedure: async context => {
+                if(!available(context)) return;
+                // OpenID Connect Discovery: the issuer with /.well-known/openid-configuration appended must be the URL of the document.
+                let issuer = String(configuration.issuer);
+                if(issuer.replace(/\/+$/, "") != authContextPath) {
+                    context.fail(`The issuer does not match the URL of the discovery document. ISSUER: ${issuer} URL: ${discoveryUrl}`);
+                }
+                if(URL.canParse(issuer)) {
+                    let url = new URL(issuer);
+                    if(url.search.length > 0 || url.hash.length > 0) {
+                        context.fail(`The issuer must not contain a query or fragment. ISSUER: ${issuer}`);
+                    }
+                }
+            }
+        },
+        {
+            id: "discovery-grant-types",
+            title: "Grant types of the discovery document",
+            tags: ["auth", "discovery"],
+            mandatory: false,
+            procedure: async context => {
+                if(!available(context)) return;
+                let grantTypes = configuration.grant_types_supported;
+                if(grantTypes == null) {
+                    context.fail("The discovery document does not contain grant_types_supported, so only authorization_code and implicit are supported by default.");
+                }else if(!Array.isArray(grantTypes)) {
+                    context.fail(`The grant_types_supported is not an array. VALUE: ${JSON.stringify(grantTypes)}`);
+                }else if(!grantTypes.includes("client_credentials")) {
+                    context.fail(`The grant_types_supported does not contain client_credentials. VALUE: ${grantTypes.join(", ")}`);
+                }
+            }
+        },
+        {
+            id: "discovery-auth-methods",
+            title: "Client authentication methods of the discovery document",
+            tags: ["auth", "discovery"],
+            mandatory: false,
+            procedure: async context => {
+                if(!available(context)) return;
+                // client_secret_basic is the default when token_endpoint_auth_methods_supported is omitted.
+                let authMethods = configuration.token_endpoint_auth_methods_supported;
+                if(authMethods == null) {
+                    authMethods = ["client_secret_basic"];
+                }
+                if(!Array.isArray(authMethods)) {
+                    context.fail(`The token_endpoint_auth_methods_supported is not an array. VALUE: ${JSON.stringify(authMethods)}`);
+                }else if(!authMethods.includes(parameters.authMethod)) {
+                    context.fail(`The token_endpoint_auth_methods_supported does not contain ${parameters.authMethod}. VALUE: ${authMethods.join(", ")}`);
+                }
+            }
+        },
+        {
+            id: "discovery-token-endpoint",
+            title: "Token endpoint of the discovery document",
+            tags: ["auth", "discovery"],
+            mandatory: false,
+            procedure: async context => {
+                if(!available(context)) return;
+                let tokenRequest = parameters.authentication(configuration.token_endpoint);
+                let response = await context.request("post", tokenRequest.url, tokenRequest.headers, tokenRequest.body);
+                if(response.status != 200) {
+                    context.fail(`The advertised token endpoint did not issue an access token. STATUS: ${response.status} URL: ${tokenRequest.url}`);
+                    return;
+                }
+                if(response.body == null || response.body.access_token == null) {
+                    context.fail(`Access token is empty. URL: ${tokenRequest.url}`);
+                }
+            }
+        }
+    ];
+}
+
+/**
+ * @typedef {object} AuthenticationTestParameters
+ * @property {() => import("./auth.js").TokenRequest} authentication Creates the request to obtain an access token with the correct credentials
+ */
+
+/**
+ * Creates the test cases of the error responses of Action Authenticate.
+ * @param {AuthenticationTestParameters} parameters 
+ * @returns {Array<import("./test-runner.js").TestCase>}
+ */
+export function createAuthenticationErrorTestCases(parameters) {
+
+    /**
+     * @returns {import("./auth.js").TokenRequest} Request without any client credentials
+     */
+    let anonymousRequest = () => {
+        let tokenRequest = parameters.authentication();
+        delete tokenRequest.headers["authorization"];
+        tokenRequest.body = {
+            "grant_type": tokenRequest.body["grant_type"]
+        };
+        return tokenRequest;
+    };
+
+    return [
+        {
+            id: "auth-without-credentials",
+            title: "Authenticate without the authorization header",
+            tags: ["auth", "negative"],
+            procedure: async context => {
+                let tokenRequest = anonymousRequest();
+                let response = await context.request("post", tokenRequest.url, tokenRequest.headers, tokenRequest.body);
+                verifyOAuthError(context, response, ["invalid_client", "invalid_request"]);
+            }
+        },
+        {
+            id: "auth-malformed-credentials",
+            title: "Authenticate with malformed Basic credentials",
+            tags: ["auth", "negative"],
+            procedure: async context => {
+                let tokenRequest = anonymousRequest();
+                // Not Base64, and no colon separating the user name and the password.
+                tokenRequest.headers["authorization"] = "Basic " + randomString(16) + "!";
+                let response = await context.request("post", tokenRequest.url, tokenRequest.headers, tokenRequest.body);
+                verifyOAuthError(context, response, ["invalid_client", "invalid_request"]);
+            }
+        },
+        {
+            id: "auth-wrong-grant-type",
+            title: "Authenticate with wrong grant_type",
+            tags: ["auth", "negative"],
+            procedure: async context => {
+                let tokenRequest = parameters.authentication();
+                tokenRequest.body["grant_type"] = randomString(16);
+                let response = await context.request("post", tokenRequest.url, tokenRequest.headers, tokenRequest.body);
+                verifyOAuthError(context, response, ["unsupported_grant_type"]);
+            }
+        },
+        {
+            id: "auth-wrong-content-type",
+            title: "Authenticate with wrong content-type",
+            tags: ["auth", "negative"],
+            procedure: async context => {
+                let tokenRequest = parameters.authentication();
+                tokenRequest.headers["content-type"] = "application/json";
+                let response = await context.request("post", tokenRequest.url, tokenRequest.headers, tokenRequest.body);
+                // The grant_type cannot be read from the body, so the target may regard it as missing or unsupported.
+                verifyOAuthError(context, response, ["invalid_request", "unsupported_grant_type"]);
+            }
+        }
+    ];
+}
+
+/**
+ * RFC 6749: the token endpoint responds to an error with 400, or 401 if the client authentication failed, and an error code.
+ * @param {import("./test-runner.js").TestContext} context 
+ * @param {import("./http.js").HttpResponse} response 
+ * @param {Array<string>} errors Acceptable error codes
+ * @returns {boolean}
+ */
+export function verifyOAuthError(context, response, errors) {
+    let failureCount = context.failures.length;
+    if(response.status != 400 && response.status != 401) {
+        context.fail(`The status code was expected to be 400 or 401, but was ${response.status}.`);
+        return false;
+    }
+    let body = /** @type {any} */(response.body);
+    if(body == null || typeof body != "object" || Array.isArray(body)) {
+        context.fail("The response body is not an OAuth 2.0 error response.");
+    }else if(typeof body.error != "string") {
+        context.fail("The response body does not contain the error.");
+    }else if(!errors.includes(body.error)) {
+        context.fail(`The error was expected to be ${errors.join(" or ")}, but was ${body.error}.`);
+    }else if(body.error_description != null && typeof body.error_description != "string") {
+        context.fail("The error_description is not a string.");
+    }
+    return context.failures.length == failureCount;
+}
+
+/**
+ * Validates the footprint against the ProductFootprint schema of the specification.
+ * @param {any} validator lupinus Validator holding the specification
+ * @param {object} footprint 
+ * @returns {Array<string>} Error messages prefixed with the footprint id
+ */
+export function validateFootprintSchema(validator, footprint) {
+    let schema = validator.getComponent("#/components/schemas/ProductFootprint");
+    if(schema == null) {
+        throw new Error("Components could not be read.");
+    }
+    let id = footprint != null && footprint.id != null ? footprint.id : "unknown id";
+    try {
+        validator.validateJson(footprint, schema);
+    }catch(error) {
+        if(error instanceof AggregateError) {
+            return error.errors.map(error => `[${id}] ${error.message}`);
+        }else {
+            return [`[${id}] ${error.message}`];
+        }
+    }
+    return [];
+}
+
+/**
+ * Validates the event against the request body of Action Events in the specification.
+ * @param {any} validator lupinus Validator holding the specification
+ * @param {any} spec 
+ * @param {string} specVersion 
+ * @param {object} event 
+ * @returns {Array<string>} Error messages, empty if the specification does not define the schema of the events
+ */
+export function validateEventSchema(validator, spec, specVersion, event) {
+    let operation = spec != null && spec.paths != null && spec.paths[pathPrefix(specVersion) + "/events"] != null ? spec.paths[pathPrefix(specVersion) + "/events"].post : null;
+    if(operation == null || operation.requestBody == null) return [];
+    let requestBody = operation.requestBody.$ref != null ? validator.getComponent(operation.requestBody.$ref) : operation.requestBody;
+    if(requestBody == null || requestBody.content == null) return [];
+    let contentType = Object.keys(requestBody.content).find(contentType => contentType.startsWith("application/cloudevents+json"));
+    if(contentType == null) {
+        contentType = Object.keys(requestBody.content)[0];
+    }
+    if(contentType == null || requestBody.content[contentType].schema == null) return [];
+    let schema = requestBody.content[contentType].schema;
+    if(schema.$ref != null) {
+        schema = validator.getComponent(schema.$ref);
+    }
+    if(schema == null) return [];
+    try {
+        validator.validateJson(event, schema);
+    }catch(error) {
+        if(error instanceof AggregateError) {
+            return error.errors.map(error => error.message);
+        }else {
+            return [error.message];
+        }
+    }
+    return [];
+}
+
+/**
+ * Follows the links with rel="next" of Action ListFootprints until the last page.
+ * @param {import("./test-runner.js").TestContext} context 
+ * @param {string} url URL of the first page
+ * @param {object} headers 
+ * @param {number} maxPages The pagination is considered endless beyond this number of pages
+ * @returns {Promise<Array<Array<object>>|undefined>} Footprints of each page, or undefined if the pagination failed
+ */
+export async function walkPages(context, url, headers, maxPages) {
+    /** @type {Array<Array<object>>} */
+    let pages = [];
+    /** @type {Array<string>} */
+    let visitedUrls = [];
+    /** @type {string|undefined} */
+    let pageUrl = url;
+    while(pageUrl != null) {
+        if(pages.length >= maxPages) {
+            context.fail(`The next link still exists after ${maxPages} pages. URL: ${pageUrl}`);
+            return undefined;
+        }
+        if(visitedUrls.includes(pageUrl)) {
+            context.fail(`The next link refers to a page that has already been retrieved. URL: ${pageUrl}`);
+            return undefined;
+        }
+        visitedUrls.push(pageUrl);
+        let response = await context.request("get", pageUrl, headers);
+        if(response.status != 200) {
+            context.fail(`The page could not be retrieved. STATUS: ${response.status} URL: ${pageUrl}`);
+            return undefined;
+        }
+        if(response.body == null || !Array.isArray(response.body.data)) {
+            context.fail(`The page does not contain the data. URL: ${pageUrl}`);
+            return undefined;
+        }
+        pages.push(response.body.data);
+        try {
+            pageUrl = nextLink(response.headers.link, pageUrl);
+        }catch(error) {
+            context.fail(error.message);
+            return undefined;
+        }
+    }
+    return pages;
+}
\ No newline at end of file
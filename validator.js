@@ -6,13 +6,17 @@
 // @ts-check
 
 import { Validator } from "lupinus";
-import { Http } from "./http.js";
+import { Http, nextLink } from "./http.js";
 import { LogLevel, Logger } from "./logger.js";
-import { v4 as UUID } from "uuid";
-import { formatToIso8601String } from "./date-utils.js";
 import { StubPathfinderServer } from "./stub.js";
-import { getFile } from "./github.js";
-import YAML from "js-yaml";
+import { loadSpec } from "./spec.js";
+import { ConformanceReport } from "./report.js";
+import { TestRunner, isSelected } from "./test-runner.js";
+import { SemanticValidator } from "./rules.js";
+import { pathPrefix, majorVersion, eventTypes } from "./versions.js";
+import { createTestSet, createDiscoveryTestCases, createAuthenticationErrorTestCases, walkPages, validateFootprintSchema, validateEventSchema, verifyOAuthError } from "./testset.js";
+import { randomString } from "./string-utils.js";
+import { CLIENT_AUTHENTICATION_METHODS, createTokenRequest } from "./auth.js";
 
 /**
  * @typedef {object} PathfinderValidatorSetting
@@ -27,15 +31,53 @@ import YAML from "js-yaml";
  * @property {"stdout"|"file"} log
  * @property {boolean} verboseLog
  * @property {string} stubContextPath
+ * @property {string} [stubHost] Host name or address the stub server binds to
+ * @property {number} [stubPort] Port the stub server listens on, if it differs from the port of stubContextPath
+ * @property {string} [stubCertPath] PEM file of the certificate of the stub server if stubContextPath is https
+ * @property {string} [stubKeyPath] PEM file of the private key of the stub server if stubContextPath is https
+ * @property {string} [stubUserName] Client id that the target presents to Action Authenticate of the stub server, userName by default
+ * @property {string} [stubPassword] Client secret that the target presents to Action Authenticate of the stub server, password by default
  * @property {import("./stub.js").StubFootprint} [stubData]
+ * @property {string} [stubDataset] JSON or YAML file of the footprints served by the stub server
+ * @property {number} [stubDatasetSeed] Seed of the footprints generated by the stub server if stubDataset is omitted
+ * @property {number} [stubDatasetSize] Number of the footprints generated by the stub server if stubDataset is omitted
  * @property {string} [userAgent]
+ * @property {boolean} [keepStub] If true, the stub server keeps running after the test cases end
+ * @property {boolean} [stubAdmin] If true, the stub server serves the control API under /admin
+ * @property {string} [stubAdminToken] Bearer token required by the control API
+ * @property {number} [eventReplyTimeout] Seconds to wait for the target to reply to ProductFootprintRequest Created event, 60 by default
+ * @property {string} [specPath] An OpenAPI file, or a directory containing pact-openapi-{version}.yaml files
+ * @property {string} [specCachePath] Directory to cache the specifications downloaded from GitHub
+ * @property {boolean} [offline] If true, the specifications are not downloaded from GitHub
+ * @property {string} [jsonReport] File path to write the test results as JSON
+ * @property {string} [junitReport] File path to write the test results as JUnit XML
+ * @property {number} [tokenExpiryWait] Seconds allowed to wait for the access token to expire, 0 by default
+ * @property {number} [getFootprintLimit] Maximum number of the footprints retrieved with Action GetFootprint for the schema validation, 20 by default
+ * @property {import("./auth.js").ClientAuthenticationMethod} [authMethod] Client authentication of Action Authenticate, client_secret_basic by default
+ * @property {string} [scope] Scope parameter of Action Authenticate
+ * @property {string} [audience] Audience parameter of Action Authenticate
+ * @property {string} [privateKeyPath] PEM file of the private key used with private_key_jwt
+ * @property {string} [privateKeyAlgorithm] Algorithm of the client assertion used with private_key_jwt, RS256 by default
+ * @property {string} [privateKeyId] kid of the client assertion used with private_key_jwt
+ * @property {Array<string>|string} [include] Patterns of the ids or tags of the test cases to run, comma separated if a string
+ * @property {Array<string>|string} [exclude] Patterns of the ids or tags of the test cases not to run, comma separated if a string
+ * @property {Array<import("./testset.js").CustomTestCase>} [customTestCases] Test cases in the lupinus test set format, run with the built-in ones
  */
 
+/**
+ * @typedef {import("./report.js").ConformanceOutcome} ValidationOutcome
+ */
+
+/**
+ * Upper limit of the pages followed when acquiring all footprints.
+ */
+const MAX_PAGES = 100;
+
 export class PathfinderValidator {
 
     /**
      * @param {PathfinderValidatorSetting} setting 
-     * @returns {Promise}
+     * @returns {Promise<ValidationOutcome>}
      */
     static async validate(setting) {
         let specVersion = setting.version;
@@ -49,8 +91,45 @@ export class PathfinderValidator {
         let log = setting.log;
         let verboseLog = setting.verboseLog;
         let stubContextPath = setting.stubContextPath;
+        let stubTls = {
+            certPath: setting.stubCertPath,
+            keyPath: setting.stubKeyPath
+        };
         let stubData = setting.stubData;
+        let stubCredentials = {
+            userName: setting.stubUserName != null ? String(setting.stubUserName) : userName,
+            password: setting.stubPassword != null ? String(setting.stubPassword) : password
+        };
+        let stubAdmin = setting.stubAdmin;
+        let stubAdminToken = setting.stubAdminToken;
+        let stubHost = setting.stubHost;
+        let stubPort = setting.stubPort;
+        let eventReplyTimeout = setting.eventReplyTimeout;
+        let stubDataset = {
+            path: setting.stubDataset,
+            seed: setting.stubDatasetSeed,
+            size: setting.stubDatasetSize
+        };
         let userAgent = setting.userAgent;
+        let jsonReport = setting.jsonReport;
+        let junitReport = setting.junitReport;
+        let tokenExpiryWait = setting.tokenExpiryWait;
+        let getFootprintLimit = setting.getFootprintLimit;
+        /** @type {import("./test-runner.js").TestSelection} */
+        let selection = {
+            include: patternList(setting.include),
+            exclude: patternList(setting.exclude)
+        };
+        let customTestCases = setting.customTestCases;
+        /** @type {import("./auth.js").ClientAuthenticationSetting} */
+        let clientAuthentication = {
+            authMethod: setting.authMethod != null ? setting.authMethod : "client_secret_basic",
+            scope: setting.scope,
+            audience: setting.audience,
+            privateKeyPath: setting.privateKeyPath,
+            privateKeyAlgorithm: setting.privateKeyAlgorithm,
+            privateKeyId: setting.privateKeyId
+        };
 
         if(specVersion == null) {
             throw new Error("The specVersion is not specified.");
@@ -67,6 +146,33 @@ export class PathfinderValidator {
         if(dataContextPath == null) {
             throw new Error("The dataContextPath is not specified.");
         }
+        if(!CLIENT_AUTHENTICATION_METHODS.includes(String(clientAuthentication.authMethod))) {
+            throw new Error(`The authMethod [${clientAuthentication.authMethod}] is not supported.`);
+        }
+        if(stubAdmin && (stubAdminToken == null || String(stubAdminToken).length == 0)) {
+            throw new Error("The stubAdminToken is not specified.");
+        }
+        if(customTestCases != null) {
+            if(!Array.isArray(customTestCases)) {
+                throw new Error("The customTestCases is not a list.");
+            }
+            customTestCases.forEach((testCase, index) => {
+                if(testCase == null || testCase.title == null) {
+                    throw new Error(`The title of customTestCases[${index}] is not specified.`);
+                }
+                if(!Array.isArray(testCase.sequence) || testCase.sequence.length == 0) {
+                    throw new Error(`The sequence of customTestCases[${index}] is not specified.`);
+                }
+                testCase.sequence.forEach((sequence, sequenceIndex) => {
+                    if(sequence == null || typeof sequence.path != "string" || typeof sequence.method != "string") {
+                        throw new Error(`The path or method of customTestCases[${index}].sequence[${sequenceIndex}] is not specified.`);
+                    }
+                });
+            });
+        }
+        if(clientAuthentication.authMethod == "private_key_jwt" && clientAuthentication.privateKeyPath == null) {
+            throw new Error("The privateKeyPath is not specified.");
+        }
         if(filterSupport == null) {
             filterSupport = false;
         }
@@ -85,6 +191,15 @@ export class PathfinderValidator {
         if(stubContextPath == null) {
             stubContextPath = "http://localhost:3000"
         }
+        if(tokenExpiryWait == null) {
+            tokenExpiryWait = 0;
+        }
+        if(getFootprintLimit == null) {
+            getFootprintLimit = 20;
+        }
+        if(!Number.isInteger(getFootprintLimit) || getFootprintLimit < 1) {
+            throw new Error(`The getFootprintLimit [${getFootprintLimit}] must be a positive integer.`);
+        }
 
         /** @type {import("lupinus/logger-setting.d.ts").LoggerSetting} */
         let logSetting = {
@@ -101,6 +216,7 @@ export class PathfinderValidator {
         let authPath = "/auth/token";
 
         // OpenID Connect Discovery
+        let discoveryContextPath = authContextPath;
         let discoveryHeaders;
         if(userAgent != null) {
             if(discoveryHeaders == null) discoveryHeaders = {};
@@ -110,435 +226,206 @@ export class PathfinderValidator {
         if(response.status == 200 && response.body != null && response.body.token_endpoint != null) {
             authContextPath = "";
             authPath = response.body.token_endpoint;
+            let authMethods = response.body.token_endpoint_auth_methods_supported;
+            // Per OpenID Connect Discovery, client_secret_basic is assumed when the methods are omitted.
+            if(Array.isArray(authMethods) && !authMethods.includes(clientAuthentication.authMethod)) {
+                logger.writeLog(`The authMethod [${clientAuthentication.authMethod}] is not listed in token_endpoint_auth_methods_supported of the target. METHODS: ${authMethods.join(", ")}`, LogLevel.warning);
+            }
+        }else {
+            logger.writeLog(`OpenID Connect Discovery is not available, so ${authContextPath + authPath} is used as the token endpoint. STATUS: ${response.status}`);
         }
         
+        let pathPrefex = pathPrefix(specVersion);
+
         let host = new URL(authContextPath+authPath).hostname;
 
+        let report = new ConformanceReport(specVersion, dataContextPath);
+        let spec = await loadSpec(specVersion, setting);
+        let schemaValidator = new Validator(spec);
+        let runner = new TestRunner(logger, report, verboseLog, spec, schemaValidator);
+        let semanticValidator = new SemanticValidator();
+
+        for(let testCase of createDiscoveryTestCases({
+            authContextPath: discoveryContextPath,
+            userAgent: userAgent,
+            authMethod: /** @type {import("./auth.js").ClientAuthenticationMethod} */(clientAuthentication.authMethod),
+            authentication: tokenUrl => authenticationRequest(userName, password, tokenUrl)
+        }).filter(testCase => isSelected(testCase, selection))) {
+            await runner.run(testCase);
+        }
+
+        /** @type {string|undefined} */
+        let accessToken;
+        /** @type {number|undefined} */
+        let accessTokenExpiresAt;
+        /** @type {Array<any>} */
+        let footprints = [];
+        /** @type {StubPathfinderServer|undefined} */
+        let stubServer;
+
         // Attempt to authenticate with incorrect credentials
-        logger.writeLog(`Test [Authenticate with incorrect credentials] is started.`);
         let incorrectUserName = this.randomString(16);
         let incorrectPassword = this.randomString(16);
-        let incorrectAuthHeaders = {
-            host: host,
-            accept: "application/json",
-            "content-type": "application/x-www-form-urlencoded",
-            authorization: "Basic " + Buffer.from(incorrectUserName+":"+incorrectPassword).toString("base64")
+        let incorrectCredentialsAccepted = false;
+        /** @type {import("./test-runner.js").TestCase} */
+        let incorrectCredentialsTestCase = {
+            id: "auth-incorrect-credentials",
+            title: "Authenticate with incorrect credentials",
+            tags: ["auth", "negative"],
+            procedure: async context => {
+                let tokenRequest = authenticationRequest(incorrectUserName, incorrectPassword);
+                let response = await context.request("post", tokenRequest.url, tokenRequest.headers, tokenRequest.body);
+                if(response.status == 200) {
+                    incorrectCredentialsAccepted = true;
+                    context.fail(`Success response was obtained despite incorrect credentials. USERNAME: ${incorrectUserName} PASSWORD: ${incorrectPassword} URL: ${authContextPath + authPath}`);
+                    return;
+                }
+                verifyOAuthError(context, response, ["invalid_client"]);
+            }
         };
-        if(userAgent != null) {
-            incorrectAuthHeaders["user-agent"] = userAgent;
+        if(isSelected(incorrectCredentialsTestCase, selection)) {
+            await runner.run(incorrectCredentialsTestCase);
         }
-        let incorrectRequestBody = {
-            "grant_type": "client_credentials"
-        };
-        if(verboseLog) {
-            logger.writeLog(`post ${authContextPath + authPath}`);
-            logger.writeLog(`REQUEST:`);
-            logger.writeLog(JSON.stringify(incorrectAuthHeaders));
-            logger.writeLog(JSON.stringify(incorrectRequestBody));
-        }
-        response = await Http.request("post", authContextPath + authPath, incorrectAuthHeaders, incorrectRequestBody);
-        if(response.status == 200) {
-            logger.writeLog(`\u001b[31mNG\u001b[0m Success response was obtained despite incorrect credentials. USERNAME: ${incorrectUserName} PASSWORD: ${incorrectPassword} URL: ${authContextPath + authPath}`);
-            return;
-        }
-        if(verboseLog) {
-            logger.writeLog(`RESPONSE:`);
-            logger.writeLog(`Status: ${response.status}`);
-            logger.writeLog(JSON.stringify(response.headers));
-            if(response.body instanceof Buffer) {
-                logger.writeLog(response.body.toString("utf8"));
-            }else if(typeof response.body == "string") {
-                logger.writeLog(response.body);
-            }else {
-                logger.writeLog(JSON.stringify(response.body));
-            }
+        // A wrong format of the error response does not prevent the remaining test cases.
+        if(incorrectCredentialsAccepted) {
+            return abort("The target accepted incorrect credentials.");
         }
-        logger.writeLog(`\u001b[32mPASS\u001b[0m post ${authContextPath + authPath}`);
 
-        // OAuth 2.0 Clinet Credential Grant
-        let authHeaders = {
-            host: host,
-            accept: "application/json",
-            "content-type": "application/x-www-form-urlencoded",
-            authorization: "Basic " + Buffer.from(userName+":"+password).toString("base64")
-        };
-        if(userAgent != null) {
-            authHeaders["user-agent"] = userAgent;
+        for(let testCase of createAuthenticationErrorTestCases({
+            authentication: () => authenticationRequest(userName, password)
+        }).filter(testCase => isSelected(testCase, selection))) {
+            await runner.run(testCase);
         }
-        response = await Http.request("post", authContextPath + authPath, authHeaders, {
-            "grant_type": "client_credentials"
+
+        // OAuth 2.0 Clinet Credential Grant
+        // The access token and the footprints are required by the other test cases, so these two always run regardless of the selection.
+        let result = await runner.run({
+            id: "auth-correct-credentials",
+            title: "Authenticate with correct credentials",
+            tags: ["auth"],
+            procedure: async context => {
+                let tokenRequest = authenticationRequest(userName, password);
+                let response = await context.request("post", tokenRequest.url, tokenRequest.headers, tokenRequest.body);
+                if(response.status != 200) {
+                    context.fail(`Authentication failed. STATUS: ${response.status} URL: ${authContextPath + authPath}`);
+                    return;
+                }
+                accessToken = response.body != null ? response.body.access_token : undefined;
+                if(accessToken == null) {
+                    context.fail(`Access token is empty. URL: ${authContextPath + authPath}`);
+                    return;
+                }
+                let expiresIn = Number(response.body.expires_in);
+                if(response.body.expires_in != null && !isNaN(expiresIn)) {
+                    accessTokenExpiresAt = new Date().getTime() + expiresIn*1000;
+                }
+            }
         });
-        if(response.status != 200) {
-            logger.writeLog(`\u001b[31mNG\u001b[0m Authentication failed. STATUS: ${response.status} URL: ${authContextPath + authPath}`);
-            return;
-        }
-        let accessToken = response.body.access_token;
-        if(accessToken == null) {
-            logger.writeLog(`\u001b[31mNG\u001b[0m Access token is empty. URL: ${authContextPath + authPath}`);
-            return;
+        if(result.status == "failed") {
+            return abort("Authentication failed.");
         }
 
-        let pathPrefex;
-        if(specVersion.startsWith("1")) {
-            pathPrefex = "/0";
-        }else if(specVersion.startsWith("2")) {
-            pathPrefex = "/2";
-        }else {
-            throw new Error("Invalid specVersion.");
-        }
-        
         host = new URL(dataContextPath + pathPrefex + "/footprints").hostname;
 
         // Footprints acquisition
         let footprintsHeaders = {
             host: host,
-            authorization: "Bearer " + accessToken
+            authorization: "Bearer " + accessToken,
+            "user-agent": userAgent
         };
-        if(userAgent != null) {
-            footprintsHeaders["user-agent"] = userAgent;
-        }
-        response = await Http.request("get", dataContextPath + pathPrefex + "/footprints", footprintsHeaders);
-        if(response.status != 200 && response.status != 202) {
-            logger.writeLog(`\u001b[31mNG\u001b[0m Footprints acquisition failed. STATUS: ${response.status} URL: ${dataContextPath + pathPrefex + "/footprints"}`);
-            return;
-        }
-        if(response.body == null) {
-            logger.writeLog(`\u001b[31mNG\u001b[0m Action Listfootprints was a successful response, but the data is empty. URL: ${dataContextPath + pathPrefex + "/footprints"}`);
-            return;
-        }
-        /** @type {Array<object>} */
-        let footprints = response.body.data;
-
-        let createdVariation;
-        let productIdsVariation;
-
-        if(footprints == null || footprints.length == 0) {
-            logger.writeLog(`\u001b[31mNG\u001b[0m Action Listfootprints was a successful response, but the data is empty. URL: ${dataContextPath + pathPrefex + "/footprints"}`);
-            return;
-        }else if(footprints.length == 1) {
-            if(filterSupport || limitSupport) {
-                logger.writeLog(`\u001b[31mNG\u001b[0m Action Listfootprints was a successful response, but there is only one data set, so it is not possible to test filtering or limitations. URL: ${dataContextPath + pathPrefex + "/footprints"}`);
-                return;
-            }
-        }else {
-            createdVariation = footprints.reduce((result, record) => {
-                if(!result.includes(record.created)) {
-                    result.push(record.created);
+        result = await runner.run({
+            id: "list-acquisition",
+            title: "Footprints acquisition",
+            tags: ["list"],
+            procedure: async context => {
+                let response = await context.request("get", dataContextPath + pathPrefex + "/footprints", footprintsHeaders);
+                if(response.status != 200 && response.status != 202) {
+                    context.fail(`Footprints acquisition failed. STATUS: ${response.status} URL: ${dataContextPath + pathPrefex + "/footprints"}`);
+                    return;
                 }
-                return result;
-            }, []);
-            productIdsVariation = footprints.reduce((result, record) => {
-                if(result.findIndex(entry => entry.every(productId => record.productIds.includes(productId))) == -1) {
-                    result.push(record.productIds);
+                if(response.body == null || response.body.data == null || response.body.data.length == 0) {
+                    context.fail(`Action Listfootprints was a successful response, but the data is empty. URL: ${dataContextPath + pathPrefex + "/footprints"}`);
+                    return;
+                }
+                footprints = response.body.data;
+                // The target may paginate even without the limit parameter.
+                let next = nextLink(response.headers.link, dataContextPath + pathPrefex + "/footprints");
+                if(next != null) {
+                    let pages = await walkPages(context, next, footprintsHeaders, MAX_PAGES);
+                    if(pages == null) return;
+                    pages.forEach(page => {
+                        footprints = footprints.concat(page);
+                    });
+                }
+                if(footprints.length == 1) {
+                    if(filterSupport || limitSupport) {
+                        context.fail(`Action Listfootprints was a successful response, but there is only one data set, so it is not possible to test filtering or limitations. URL: ${dataContextPath + pathPrefex + "/footprints"}`);
+                    }
+                    return;
+                }
+                let createdVariation = footprints.reduce((result, record) => {
+                    if(!result.includes(record.created)) {
+                        result.push(record.created);
+                    }
+                    return result;
+                }, []);
+                let productIdsVariation = footprints.reduce((result, record) => {
+                    if(result.findIndex(entry => entry.every(productId => record.productIds.includes(productId))) == -1) {
+                        result.push(record.productIds);
+                    }
+                    return result;
+                }, []);
+                // Tech Spec ver 3 cannot filter by the created.
+                if(filterSupport && majorVersion(specVersion) < 3 && createdVariation.length <= 1) {
+                    context.fail(`Action Listfootprints was a successful response, but the filtering cannot be tested because there is only one variation of the created. URL: ${dataContextPath + pathPrefex + "/footprints"}`);
+                }else if(filterSupport && productIdsVariation.length <= 1) {
+                    context.fail(`Action Listfootprints was a successful response, but the filtering cannot be tested because there is only one variation of the productIds. URL: ${dataContextPath + pathPrefex + "/footprints"}`);
                 }
-                return result;
-            }, []);
-            if(filterSupport && createdVariation.length <= 1) {
-                logger.writeLog(`\u001b[31mNG\u001b[0m Action Listfootprints was a successful response, but the filtering cannot be tested because there is only one variation of the created. URL: ${dataContextPath + pathPrefex + "/footprints"}`);
-                return;
-            }else if(filterSupport && productIdsVariation.length <= 1) {
-                logger.writeLog(`\u001b[31mNG\u001b[0m Action Listfootprints was a successful response, but the filtering cannot be tested because there is only one variation of the productIds. URL: ${dataContextPath + pathPrefex + "/footprints"}`);
-                return;
             }
+        });
+        if(result.status == "failed") {
+            return abort("The footprints required for testing could not be acquired.");
         }
 
-        /** @type {import("lupinus/testset.d.ts").TestSet} */
-        let testSet = {
-            testCases: [
-                {
-                    title: "Retrieval of all footprints",
-                    contextPath: dataContextPath,
-                    sequence: [
-                        {
-                            path: pathPrefex + "/footprints",
-                            method: "get",
-                            request: {
-                                headers: {
-                                    host: host,
-                                    authorization: "Bearer " + accessToken,
-                                    "user-agent": userAgent
-                                }
-                            },
-                            response: {
-                                status: 200
-                            }
-                        }
-                    ]
-                },
-                {
-                    title: "Date filtering for footprints",
-                    contextPath: dataContextPath,
-                    sequence: [
-                        {
-                            path: pathPrefex + "/footprints",
-                            method: "get",
-                            request: {
-                                headers: {
-                                    host: host,
-                                    authorization: "Bearer " + accessToken,
-                                    "user-agent": userAgent
-                                },
-                                body: {
-                                    "$filter": `created ge ${createdVariation[0]}`
-                                }
-                            },
-                            response: (filterSupport ? ({
-                                status: 200,
-                                body: `{data[*].created >= '${createdVariation[0]}'}`
-                            }) : ({
-                                status: 400,
-                                body: "{code = 'NotImplemented'}"
-                            }))
-                        }
-                    ]
-                },
-                {
-                    title: "Product filtering for footprints",
-                    contextPath: dataContextPath,
-                    sequence: [
-                        {
-                            path: pathPrefex + "/footprints",
-                            method: "get",
-                            request: {
-                                headers: {
-                                    host: host,
-                                    authorization: "Bearer " + accessToken,
-                                    "user-agent": userAgent
-                                },
-                                body: {
-                                    "$filter": `productIds/any(productId:(productId eq '${productIdsVariation[0]}'))`
-                                }
-                            },
-                            response: (filterSupport ? ({
-                                status: 200,
-                                body: `{'${productIdsVariation[0]}' in data[*].productIds}`
-                            }) : ({
-                                status: 400,
-                                body: "{code = 'NotImplemented'}"
-                            }))
-                        }
-                    ]
-                },
-                {
-                    title: "Footprint acquisition limitations",
-                    contextPath: dataContextPath,
-                    sequence: [
-                        {
-                            path: pathPrefex + "/footprints",
-                            method: "get",
-                            request: {
-                                headers: {
-                                    host: host,
-                                    authorization: "Bearer " + accessToken,
-                                    "user-agent": userAgent
-                                },
-                                body: {
-                                    limit: 1
-                                }
-                            },
-                            response: (limitSupport ? ({
-                                status: 200,
-                                headers: "{link != null}",
-                                body: "{data.length == 1}"
-                            }) : ({
-                                status: 400,
-                                body: "{code = 'NotImplemented'}"
-                            }))
-                        }
-                    ]
-                },
-                {
-                    title: "Retrieve the specific footprint",
-                    contextPath: dataContextPath,
-                    sequence: [
-                        {
-                            path: pathPrefex + "/footprints/{id}",
-                            method: "get",
-                            request: {
-                                headers: {
-                                    host: host,
-                                    authorization: "Bearer " + accessToken,
-                                    "user-agent": userAgent
-                                },
-                                body: {
-                                    id: footprints[0].id
-                                }
-                            },
-                            response: {
-                                status: 200,
-                                body: "{data.id = '"+footprints[0].id+"'}"
-                            }
-                        }
-                    ]
-                },
-                {
-                    title: "Footprint update notification",
-                    contextPath: dataContextPath,
-                    sequence: [
-                        {
-                            path: pathPrefex + "/events",
-                            method: "post",
-                            request: {
-                                headers: {
-                                    host: host,
-                                    authorization: "Bearer " + accessToken,
-                                    "content-type": "application/cloudevents+json; charset=UTF-8",
-                                    "user-agent": userAgent
-                                },
-                                body: {
-                                    type: "org.wbcsd.pathfinder.ProductFootprint.Published.v1",
-                                    specversion: "1.0",
-                                    id: UUID(),
-                                    source: stubContextPath + pathPrefex + "/events",
-                                    time: formatToIso8601String(new Date(), true),
-                                    data: {
-                                        pfIds: [UUID()]
-                                    }
-                                }
-                            },
-                            response: (eventsSupport ? ({
-                                status: 200
-                            }) : ({
-                                status: 400,
-                                body: "{code = 'NotImplemented'}"
-                            }))
-                        }
-                    ]
-                },
-                {
-                    title: "Request to send footprints",
-                    contextPath: dataContextPath,
-                    sequence: [
-                        {
-                            path: pathPrefex + "/events",
-                            method: "post",
-                            request: {
-                                headers: {
-                                    host: host,
-                                    authorization: "Bearer " + accessToken,
-                                    "content-type": "application/cloudevents+json; charset=UTF-8",
-                                    "user-agent": userAgent
-                                },
-                                body: {
-                                    type: "org.wbcsd.pathfinder.ProductFootprintRequest.Created.v1",
-                                    specversion: "1.0",
-                                    id: UUID(),
-                                    source: stubContextPath + pathPrefex + "/events",
-                                    time: formatToIso8601String(new Date(), true),
-                                    data: {
-                                        pf: {
-                                            companyIds: footprints[0].companyIds,
-                                            productIds: footprints[0].productIds
-                                        },
-                                        comment: "Please send PCF data for this year."
-                                    }
-                                }
-                            },
-                            response: (eventsSupport ? ({
-                                status: 200
-                            }) : ({
-                                status: 400,
-                                body: "{code = 'NotImplemented'}"
-                            }))
-                        }
-                    ]
-                },
-                {
-                    title: "Illegal access token",
-                    contextPath: dataContextPath,
-                    sequence: [
-                        {
-                            path: pathPrefex + "/footprints",
-                            method: "get",
-                            request: {
-                                headers: {
-                                    host: host,
-                                    authorization: "Bearer " + this.randomString(32),
-                                    "user-agent": userAgent
-                                }
-                            },
-                            response: {
-                                status: 400,
-                                body: "{code = 'BadRequest'}"
-                            }
-                        }
-                    ]
-                },
-                {
-                    title: "Incorrect specific footprint request",
-                    contextPath: dataContextPath,
-                    sequence: [
-                        {
-                            path: pathPrefex + "/footprints/{id}",
-                            method: "get",
-                            request: {
-                                headers: {
-                                    host: host,
-                                    authorization: "Bearer " + accessToken,
-                                    "user-agent": userAgent
-                                },
-                                body: {
-                                    id: UUID()
-                                }
-                            },
-                            response: {
-                                status: 404,
-                                body: "{code = 'NoSuchFootprint'}"
-                            }
-                        }
-                    ]
-                }
-            ]
-        };
-
-        /**
-         * @param {string} specVersion 
-         * @returns {Promise<object>}
-         */
-        async function specFile(specVersion) {
-            let file = await getFile("wbcsd", "pact-openapi", `pact-openapi-${specVersion}.yaml`);
-            return YAML.load(file.toString());
-        }
 
         if(eventsSupport) {
-            let stubServer = new StubPathfinderServer({
+            stubServer = new StubPathfinderServer({
                 contextPath: stubContextPath,
+                host: stubHost,
+                port: stubPort,
+                tls: stubTls,
+                version: specVersion,
                 destinationServer: {
                     authContextPath: authContextPath,
                     authPath: authPath,
                     userName: userName,
                     password: password,
                     dataContextPath: dataContextPath,
-                    pathPrefex: pathPrefex
+                    pathPrefex: pathPrefex,
+                    authentication: clientAuthentication
                 },
+                credentials: stubCredentials,
                 data: stubData,
-                logSetting: logSetting
-            });
-            stubServer.on("data", requestBody => {
-                if(requestBody.type == "org.wbcsd.pathfinder.ProductFootprintRequest.Fulfilled.v1") {
-                    let footprints = requestBody.data.pfs;
-                    specFile(specVersion).then(spec => {
-                        let validator = new Validator(spec);
-                        let schema = validator.getComponent("#/components/schemas/ProductFootprint");
-                        if(schema == null) {
-                            throw new Error("Components could not be read.");
-                        }
-                        footprints.forEach(footprint => {
-                            try {
-                                validator.validateJson(footprint, schema);
-                            }catch(error) {
-                                if(error instanceof AggregateError) {
-                                    error.errors.forEach(error => {
-                                        logger.writeLog(`\u001b[31mNG\u001b[0m ${error.message}`);
-                                        logger.writeLog(error.stack, LogLevel.debug);
-                                    });
-                                }else {
-                                    logger.writeLog(`\u001b[31mNG\u001b[0m ${error.message}`);
-                                    logger.writeLog(error.stack, LogLevel.debug);
-                                }
-                            }
+                dataset: stubDataset,
+                logSetting: logSetting,
+                admin: stubAdmin,
+                adminToken: stubAdminToken,
+                replyTimeout: eventReplyTimeout,
+                eventValidator: event => {
+                    /** @type {Array<string>} */
+                    let messages = validateEventSchema(schemaValidator, spec, specVersion, event);
+                    if(event.type == eventTypes(specVersion).requestFulfilled && event.data != null && Array.isArray(event.data.pfs)) {
+                        event.data.pfs.forEach(footprint => {
+                            messages = messages.concat(validateFootprintSchema(schemaValidator, footprint));
+                            semanticValidator.validate(footprint).forEach(violation => {
+                                messages.push(`[${violation.ruleId}] [${violation.footprintId}] ${violation.message}`);
+                            });
                         });
+                    }
+                    messages.forEach(message => {
+                        logger.writeLog(`\u001b[31mNG\u001b[0m ${message}`);
                     });
+                    return messages;
                 }
             });
             stubServer.on("error", error => {
@@ -547,9 +434,88 @@ export class PathfinderValidator {
             });
         }
 
-        let spec = await specFile(specVersion);
-        let validator = new Validator(spec, testSet, logSetting, verboseLog);
-        await validator.validate();
+        let testSet = createTestSet(testSetParameters());
+        for(let testCase of testSet.testCases.filter(testCase => isSelected(testCase, selection))) {
+            await runner.run(testCase);
+        }
+        // The replies to the events are awaited last, so that the target has the time of the other test cases to process them.
+        for(let testCase of testSet.replyTestCases.filter(testCase => isSelected(testCase, selection))) {
+            await runner.run(testCase);
+        }
+        return writeReport();
+
+        /**
+         * @returns {import("./testset.js").TestSetParameters}
+         */
+        function testSetParameters() {
+            return {
+                specVersion: specVersion,
+                dataContextPath: dataContextPath,
+                host: host,
+                accessToken: accessToken,
+                userAgent: userAgent,
+                filterSupport: filterSupport,
+                limitSupport: limitSupport,
+                eventsSupport: eventsSupport,
+                stubContextPath: stubContextPath,
+                footprints: footprints,
+                schemaValidator: schemaValidator,
+                semanticValidator: semanticValidator,
+                authentication: () => authenticationRequest(userName, password),
+                accessTokenExpiresAt: accessTokenExpiresAt,
+                tokenExpiryWait: tokenExpiryWait,
+                getFootprintLimit: getFootprintLimit,
+                stubServer: stubServer,
+                customTestCases: customTestCases
+            };
+        }
+
+        /**
+         * @param {string} clientId 
+         * @param {string} clientSecret 
+         * @param {string} [tokenUrl] The token endpoint in use if omitted
+         * @returns {import("./auth.js").TokenRequest}
+         */
+        function authenticationRequest(clientId, clientSecret, tokenUrl) {
+            if(tokenUrl == null) tokenUrl = authContextPath + authPath;
+            let tokenRequest = createTokenRequest(tokenUrl, clientId, clientSecret, clientAuthentication);
+            tokenRequest.headers = {
+                host: new URL(tokenUrl).hostname,
+                ...tokenRequest.headers,
+                "user-agent": userAgent
+            };
+            return tokenRequest;
+        }
+
+        /**
+         * Reports the test cases that can no longer be run as skipped.
+         * @param {string} reason
+         * @returns {ValidationOutcome}
+         */
+        function abort(reason) {
+            let testSet = createTestSet(testSetParameters());
+            testSet.testCases.concat(testSet.replyTestCases).filter(testCase => isSelected(testCase, selection)).forEach(testCase => {
+                runner.skip(testCase, reason);
+            });
+            return writeReport();
+        }
+
+        /**
+         * Writes the machine-readable reports as configured.
+         * @returns {ValidationOutcome}
+         */
+        function writeReport() {
+            report.finish();
+            if(jsonReport != null) {
+                report.writeJson(jsonReport);
+                logger.writeLog(`The JSON report was written to ${jsonReport}.`);
+            }
+            if(junitReport != null) {
+                report.writeJUnitXml(junitReport);
+                logger.writeLog(`The JUnit XML report was written to ${junitReport}.`);
+            }
+            return report.outcome();
+        }
     }
 
     /**
@@ -557,11 +523,16 @@ export class PathfinderValidator {
      * @returns {string}
      */
     static randomString(length) {
-        let variation = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
-        let string = "";
-        for(let i=0; i<length; i++) {
-            string += variation[Math.floor(Math.random()*variation.length)];
-        }
-        return string;
+        return randomString(length);
     }
+}
+
+/**
+ * @param {Array<string>|string} [patterns] Array, or a string separated by commas as given on the command line
+ * @returns {Array<string>|undefined}
+ */
+function patternList(patterns) {
+    if(patterns == null) return undefined;
+    let list = Array.isArray(patterns) ? patterns : String(patterns).split(",");
+    return list.map(pattern => String(pattern).trim()).filter(pattern => pattern.length > 0);
 }
\ No newline at end of file
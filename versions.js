@@ -0,0 +1,77 @@
+/*!
+ * Copyright 2024 Takuro Okada.
+ * Released under the MIT License.
+ */
+
+// @ts-check
+
+/**
+ * @param {string} specVersion Version of the Tech Spec
+ * @returns {number} Major version
+ */
+export function majorVersion(specVersion) {
+    let major = Number(String(specVersion).split(".")[0]);
+    if(isNaN(major)) {
+        throw new Error(`Invalid specVersion. ${specVersion}`);
+    }
+    return major;
+}
+
+/**
+ * @param {string} specVersion Version of the Tech Spec
+ * @returns {string} Path prefix of Action ListFootprints, Action GetFootprint and Action Events
+ */
+export function pathPrefix(specVersion) {
+    let major = majorVersion(specVersion);
+    if(major == 1) {
+        return "/0";
+    }else if(major == 2) {
+        return "/2";
+    }else if(major == 3) {
+        return "/3";
+    }else {
+        throw new Error("Invalid specVersion.");
+    }
+}
+
+/**
+ * @param {string} specVersion Version of the Tech Spec
+ * @returns {boolean} Whether Action Events is defined in the version
+ */
+export function eventsDefined(specVersion) {
+    return majorVersion(specVersion) >= 2;
+}
+
+/**
+ * Error codes of ProductFootprintRequest Rejected event.
+ */
+export const EVENT_ERROR_CODES = ["AccessDenied", "BadRequest", "NoSuchFootprint", "NotImplemented", "TokenExpired", "InternalError"];
+
+/**
+ * @typedef {object} EventTypes
+ * @property {string} published
+ * @property {string} requestCreated
+ * @property {string} requestFulfilled
+ * @property {string} requestRejected
+ */
+
+/**
+ * @param {string} specVersion Version of the Tech Spec
+ * @returns {EventTypes} Types of the CloudEvents in Action Events
+ */
+export function eventTypes(specVersion) {
+    if(majorVersion(specVersion) >= 3) {
+        return {
+            published: "org.wbcsd.pact.ProductFootprint.PublishedEvent.3",
+            requestCreated: "org.wbcsd.pact.ProductFootprint.RequestCreatedEvent.3",
+            requestFulfilled: "org.wbcsd.pact.ProductFootprint.RequestFulfilledEvent.3",
+            requestRejected: "org.wbcsd.pact.ProductFootprint.RequestRejectedEvent.3"
+        };
+    }
+    return {
+        published: "org.wbcsd.pathfinder.ProductFootprint.Published.v1",
+        requestCreated: "org.wbcsd.pathfinder.ProductFootprintRequest.Created.v1",
+        requestFulfilled: "org.wbcsd.pathfinder.ProductFootprintRequest.Fulfilled.v1",
+        requestRejected: "org.wbcsd.pathfinder.ProductFootprintRequest.Rejected.v1"
+    };
+}
\ No newline at end of file